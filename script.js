@@ -14,17 +14,131 @@ let originalWidth = 640;
 let originalHeight = 480;
 let videoWrapper = null; // Cached reference to video-wrapper element
 
-// Per-person state arrays for multi-person support
-let personStates = []; // Current state for each person
-let personLastStates = []; // Previous state for each person
-let personStableStates = []; // Stable state for each person
-let personStableCounters = []; // Counter for state stability
-let personOverlayImages = []; // Overlay image for each person
+// Per-person state for multi-person support, keyed by tracked person ID (see PERSON TRACKING)
+let personPoses = {}; // Latest pose of each person visible in the current detection
+let personStates = {}; // Current state for each person
+let personLastStates = {}; // Previous state for each person
+let personStableStates = {}; // Stable state for each person
+let personStableCounters = {}; // Counter for state stability
+let personOverlayImages = {}; // Overlay image for each person
+let personHistories = {}; // Rolling keypoint history for each person (gesture recognition)
+let personGestureCooldowns = {}; // { gestureName: lastFiredMs } for each person
+let personOverlayOverrides = {}; // { pose, until } overlay forced by an action, or null
+let personPoseScores = {}; // { poseName: 0..1 } for each person (above 0.5 = rule/model match)
+let personActivePoses = {}; // { name, since, score, pendingName, pendingSince } hysteresis-filtered pose driving overlays
+let personCharges = {}; // { pose, value, alpha, releaseValue, releaseAlpha, charged, climaxStart } hold-to-charge progress
+let personVariants = {}; // { current: { poseName: index }, previous: { poseName: index } } chosen pose variants
+let variantCursors = {}; // next round-robin variant index per pose name
 const STABLE_FRAMES = 12; // Number of frames to wait before considering a state stable
 
-// Local images for poses
-let jesusImage = null; // Jesus_1.png
-let primeImage = null; // Prime_1.png
+// Person tracking (stable IDs across frames, see PERSON TRACKING)
+const TRACK_MIN_CONFIDENCE = 0.3;   // keypoints below this are ignored for matching
+const TRACK_MAX_COST = 0.8;         // highest match cost (mean keypoint distance in body units) for a visible track
+const TRACK_REID_MS = 1500;         // lost tracks can be re-identified this long before their state is dropped
+const TRACK_REID_COST_GROWTH = 0.6; // extra match cost allowed per second a track has been lost
+const TRACK_PREDICT_MAX_MS = 500;   // lost tracks are extrapolated along their velocity at most this long
+const TRACK_VELOCITY_SMOOTH = 0.5;  // lerp factor for the track center velocity
+const TRACK_INFEASIBLE_COST = 1e6;  // assignment cost of pairs beyond the match gate
+let tracks = [];                    // [{ id, pose, center, scale, velocity, filters, occlusion, firstSeen, lastSeen }, ...] incl. briefly lost ones
+let trackedPeople = [];             // [{ id, pose }, ...] tracks matched in the latest detection, by ID
+let nextTrackId = 1;
+
+// Interaction zone and participant limits (only participants are classified and rendered, see INTERACTION ZONE)
+const INTERACTION_ZONE = {
+    enabled: true,
+    floor: [[0, 0.7], [1, 0.7], [1, 2], [0, 2]], // floor polygon in video fractions (x right, y down); extends below
+                                                 // the frame, where the feet of close visitors are
+    minBodySize: 0.08,      // smallest body scale (shoulder width / video height), smaller = too far away
+    maxBodySize: 0.6,       // largest body scale, larger = leaning into the camera
+    legToTorso: 1.7,        // hip-to-floor distance in torso lengths, to place the feet when ankles are hidden
+    enterMs: 300,           // a person must be in the zone this long to become a candidate participant,
+    exitMs: 800             // and out of it this long to drop out (someone on the boundary doesn't flicker)
+};
+const MAX_PARTICIPANTS = 2;              // people classified and rendered at once
+const PARTICIPANT_PRIORITY = "closest";  // "closest" (largest body scale) or "longest" (longest present)
+const PARTICIPANT_KEEP_BONUS = 1.15;     // current participants rank this much closer, so near-equal visitors don't swap
+let participants = [];                   // [{ id, pose }, ...] tracked people engaging with the piece, by ID
+
+// Pose score hysteresis for the Pixi overlays (scores are 0..1, 0.5 = exactly at the rule thresholds)
+const POSE_ENTER_SCORE = 0.7;   // score a pose needs to become active
+const POSE_EXIT_SCORE = 0.4;    // active pose is released below this score
+const POSE_ENTER_DELAY_MS = 150; // candidate must stay above POSE_ENTER_SCORE this long
+const POSE_MIN_HOLD_MS = 500;   // active pose is shown at least this long
+const POSE_SCORE_SMOOTH = 0.2;  // lerp factor for the active pose's displayed score
+const POSE_MIN_ALPHA = 0.35;    // overlay opacity at the exit score (1 at the enter score)
+
+// Hold-to-charge progression (poses with a "charge" block evolve through stage textures while held)
+const CHARGE_DURATION_MS = 4000;  // default hold time from the first stage to full charge
+const CHARGE_REWIND_MS = 1500;    // default time a released charge takes to rewind from full to empty
+const CHARGE_RING_SETTINGS = {
+    offset: 0.9,            // ring center above the nose, in body units
+    radius: 0.25,           // ring radius, in body units
+    thickness: 0.06,        // ring stroke, in body units
+    trackColor: 0xffffff,
+    trackAlpha: 0.25,
+    color: 0xffd166,
+    chargedColor: 0xffffff
+};
+const CHARGE_CLIMAX_SETTINGS = {
+    durationMs: 700,        // length of the climax pulse
+    pulseScale: 0.12,       // extra overlay scale at the peak of the pulse
+    ringScale: 2.2          // flash ring radius multiplier at the end of the pulse
+};
+
+// Pose registry loaded from poses/index.json (definitions in manifest order)
+const POSE_MANIFEST_URL = "poses/index.json";
+let poseRegistry = [];  // [{ name, texture, minConfidence, rules, ... }, ...]
+let poseImages = {};    // p5 images per pose name (legacy sticker path)
+
+// Duet poses evaluated over pairs of people ("duets" in poses/index.json)
+let duetRegistry = [];  // [{ name, members, minConfidence, rules, texture, ... }, ...]
+let personDuets = {};   // Duet key each person ID belongs to this frame
+let activeDuets = [];   // [{ key, name, definition, left, right }, ...] this frame (left/right are person IDs)
+let duetStates = {};    // { key: { name, since, personIds, pose, position } } active duet per pair of person IDs (hysteresis, enter/exit events)
+const DUET_WIDTH_FACTOR = 1.6; // duet plane width = distance between the pair's outer shoulders x this
+
+// Body scale used to normalize pose rules (1 unit = one shoulder width)
+const BODY_SCALE_MIN_CONFIDENCE = 0.3; // shoulders/hips below this are ignored for scale
+const SHOULDER_TO_TORSO_RATIO = 0.66;  // typical shoulder width / torso length, covers sideways stances
+const RULE_SOFTNESS = 0.1;             // default rule softness in body units (score 0..1 across +/- this)
+const RULE_SOFTNESS_DEG = 8;           // default softness for angle rules, in degrees
+
+// Learned pose classifier (kNN over normalized keypoints), trained in the browser
+const POSE_MODEL_STORAGE_KEY = "betweenVerses.poseModel";
+const POSE_MODEL_URL = "poses/model.json"; // optional shipped model, used when nothing is stored locally
+const MODEL_K = 5;                  // neighbours per vote
+const MODEL_MIN_SAMPLES = 20;       // samples a pose needs before "auto" definitions use the model
+const MODEL_MIN_VOTE = 0.6;         // default share of neighbour votes required for a match
+const MODEL_VOTE_SOFTNESS = 0.2;    // vote share range over which the model score eases from 0.5 to 1
+const FEATURE_MIN_CONFIDENCE = 0.3; // keypoints below this are left out of the feature vector
+const POSE_FEATURE_KEYPOINTS = [
+    "nose",
+    "left_shoulder", "right_shoulder", "left_elbow", "right_elbow", "left_wrist", "right_wrist",
+    "left_hip", "right_hip", "left_knee", "right_knee", "left_ankle", "right_ankle"
+];
+let poseModel = { version: 1, k: MODEL_K, samples: [] }; // samples: [{ label, features }, ...]
+
+// Pose trainer (records labelled samples from the live bodyPose stream)
+const TRAINER_COUNTDOWN_MS = 3000;       // time to get into position after pressing Record
+const TRAINER_RECORD_MS = 5000;          // recording duration
+const TRAINER_SAMPLE_INTERVAL_MS = 100;  // one sample every 100ms while recording
+let trainer = { label: null, phase: "idle", phaseStart: 0, lastSample: 0, recorded: 0 };
+
+// Pose clips (R key): filtered keypoints of the first participant, for previewing rigs in the mesh rig editor
+const POSE_CLIP_MAX_MS = 30000;          // recording stops and downloads after this
+let poseClip = null;                     // { start, frames: [{ t, keypoints }] } while recording
+
+// Gesture recognition (rolling keypoint history per person + DTW template matching)
+const GESTURE_MANIFEST_URL = "gestures/index.json";
+const GESTURE_HISTORY_MS = 3000;     // keypoint history kept per person
+const GESTURE_SAMPLE_RATE = 15;      // default template sample rate (samples/sec)
+const GESTURE_WINDOW_SCALE = 1.5;    // history window = template duration x this (allows slower moves)
+const GESTURE_COOLDOWN_MS = 1500;    // default time before the same gesture can fire again
+const GESTURE_MIN_CONFIDENCE = 0.3;  // lower-confidence samples reuse the previous value
+let gestureRegistry = [];            // [{ name, channels, origin, template, maxDistance, actions, ... }, ...]
+
+// Pose/gesture events ("poseenter", "poseexit", "posecharged", "gesture") and data-driven actions
+let poseEventListeners = {};         // { type: [handler, ...] }
 
 // PixiJS overlay variables
 let pixiApp = null; // PixiJS application instance
@@ -36,22 +150,29 @@ let bgContainer, meshesContainer, fgContainer;
 // Foreground mask for bottom 30% band
 let fgMask;
 
-// Foreground particle system for lilies
-let fgParticles = [];
-let fgSpawnAccumulator = 0;
-let fgPaused = false;
-let lilyTex = null;
-
-// Multi-person PixiJS plane management
-let planes = [];                    // PIXI.SimplePlane per person
-let planeContainers = [];           // PIXI.Container per person for positioning/scaling
-let planePosBufs = [];              // Cached aVertexPosition buffer per plane
-let planePoseType = [];             // "Prime" | "Jesus" | "Neutral" for each person
-let lastVertexPositions = [];       // Per-person cache for smoothing
-
-// Per-person anchor/scale smoothing caches
-let anchorPos = [];                 // [{x,y}, ...] per person for position smoothing
-let anchorScale = [];               // [number, ...] per person for scale smoothing
+// Effects layer between meshes and foreground (action bursts, unmasked)
+let fxContainer;
+
+// Particle system (see PARTICLES): emitters of the active scene plus burst emitters
+let particles = [];             // sprites of every emitter, particle state in __p
+let sceneEmitters = [];         // [{ name, settings, textures, accumulator, live }, ...] of the active scene
+let burstEmitters = {};         // emitters for burst actions by name, loaded on first use
+let particlesPaused = false;
+let defaultParticleTexture = null; // texture of emitters without one (bursts): the scene's first foreground texture
+
+// Duet PixiJS planes, one per posing pair: { key: { container, plane, posBuf } }
+let duetPlanes = {};
+
+// Multi-person PixiJS plane management, keyed by tracked person ID
+let planes = {};                    // PIXI.SimplePlane per person
+let planeContainers = {};           // PIXI.Container per person for positioning/scaling
+let planePosBufs = {};              // Cached aVertexPosition buffer per plane
+let planePoseType = {};             // Pose name from the registry or "Neutral" for each person
+let overlayLifecycles = {};         // { phase, phaseStart, x, y, scale, alpha, dissolveFilter } per person plane
+let chargeRings = {};               // PIXI.Graphics hold-to-charge progress ring per person
+let planeBindPoses = {};            // { keypointName: {x, y} } warp keypoints in plane space when the texture was applied, per person
+let planePhysics = {};              // { positions, velocities, lastTime, accumulator } secondary motion state per person
+let planeTransitions = {};          // { start } texture transition in progress per person
 
 // Mesh grid dimensions
 const COLS = 6;
@@ -66,34 +187,456 @@ const FG_FRACTION = 0.30; // fraction of screen height for foreground band
 // Background image opacity
 const BG_ALPHA = 0.5; // background image opacity (70% transparent)
 
-// Foreground particle system settings
-const FG_SETTINGS = {
-    spawnRate: 6,           // particles per second
-    maxParticles: 40,       // safety cap
-    baseScale: 0.25,        // base scale relative to texture
-    scaleJitter: 0.35,      // random extra scale
-    speedMin: 2,            // px/sec horizontal speed
-    speedMax: 10,
-    sineAmp: 6,             // vertical sine amplitude (px)
-    sineFreq: 1.1,          // sine frequency multiplier
-    lifetimeMin: 6.0,       // seconds
-    lifetimeMax: 10.0,
-    alphaStart: 0.90,
-    alphaEnd: 0.0,
-    blendMode: PIXI.BLEND_MODES.NORMAL
+// Scenes loaded from scenes/index.json bundle the background, foreground emitters, overlay textures,
+// blend mode and filters; the first one listed is shown at startup (see SCENES)
+const SCENE_MANIFEST_URL = "scenes/index.json";
+const SCENE_TRANSITION_MS = 1500;   // background crossfade when switching scenes
+const DEFAULT_SCENE = {             // used when the scene manifest can't be loaded
+    name: "default",
+    background: { image: "./bg-images/mountain.png", alpha: BG_ALPHA },
+    foreground: [{ texture: "./front-images/water-lily.png" }]
+};
+let sceneRegistry = [];             // [{ name, background, foreground, overlays, blendMode, filters }, ...]
+let loadedScenes = {};              // promise of { definition, overlays, poseTextures, ..., background, emitters, blendMode } per scene name
+let activeScene = null;             // loaded scene shown now
+let sceneRequest = 0;               // latest switchScene call (earlier ones still loading are dropped)
+let sceneFades = [];                // [{ group, from, to, start, durationMs }, ...] background crossfade
+
+// Background layers (a scene's "background.layers", back to front): each shifts against the visitors'
+// average position by its "parallax" depth, "drift" scrolls a tiling layer (see BACKGROUND LAYERS)
+const BACKGROUND_PARALLAX = {
+    maxShift: 0.03,         // shift of a parallax 1 layer with the visitors at the frame edge (fraction of the canvas)
+    vertical: 0.5,          // vertical shift relative to horizontal
+    smooth: 0.03            // lerp factor per frame toward the visitors' average position (back to center without visitors)
+};
+let backgroundParallax = { x: 0, y: 0 }; // smoothed visitors' average position, -1..1 from the frame center
+
+// Landscape blending: a background layer with "landscapes" shows the first one and blends the others in
+// by the share of visitors posing their "pose", plus a patch around each of them (see LANDSCAPE BLENDING)
+const LANDSCAPE_BLEND = {
+    maxLandscapes: 4,       // landscapes per layer (samplers in LANDSCAPE_BLEND_FRAGMENT)
+    maxPeople: 4,           // patches drawn at once (MAX_PEOPLE in LANDSCAPE_BLEND_FRAGMENT)
+    radius: 2.5,            // patch radius around a posing visitor (body units)
+    softness: 0.3,          // edge softness of the patches and of the share mask
+    noiseScale: 3,          // noise cells across the layer height for the share mask
+    smooth: 0.04            // lerp factor per frame for the shares and patches
+};
+
+// Particle emitter settings (see PARTICLES). Ranges are [min, max] picked per particle, curves are
+// values spread evenly over a particle's lifetime. Scene "foreground" entries and burst actions start
+// from a preset in PARTICLE_EMITTERS, which overrides these defaults.
+const PARTICLE_DEFAULTS = {
+    textures: [],           // picked at random per particle (a single "texture" works too)
+    layer: "foreground",    // "foreground" (masked bottom band) or "fx" (unmasked, above the overlays)
+    spawn: { type: "band" }, // "band" (bottom band), "rect", "point" or "bodyPart" (see getParticleSpawnPosition)
+    rate: 0,                // particles per second (0 = bursts only); per participant for bodyPart
+    count: 16,              // particles per burst
+    maxCount: 40,           // safety cap
+    size: 0.25,             // base scale relative to texture
+    sizeJitter: 0.35,       // random extra scale
+    speed: [2, 10],         // px/sec
+    direction: "horizontal", // "horizontal" (left or right), "radial" or an angle in degrees (0 = right, 90 = down)
+    spread: 0,              // random degrees around an angle direction
+    lift: 0,                // extra upward px/sec at spawn
+    gravity: 0,             // px/sec^2
+    sine: { amp: 0, freq: 0 }, // vertical sine drift (amplitude px, frequency multiplier)
+    spin: 0,                // rad/sec at most, either way
+    lifetime: [6, 10],      // seconds
+    alphaCurve: [1, 0],
+    scaleCurve: [1],
+    wrap: false,            // wrap around the left/right canvas edges
+    blendMode: "NORMAL"
+};
+const PARTICLE_EMITTERS = {
+    lilies: {               // water lilies drifting in the bottom band (default of scene foreground entries)
+        textures: ["./front-images/water-lily.png"],
+        rate: 6,
+        sine: { amp: 6, freq: 1.1 },
+        alphaCurve: [0.9, 0],
+        wrap: true
+    },
+    burst: {                // fountain for "burst" actions, falling back under gravity
+        layer: "fx",
+        spawn: { type: "point" },
+        maxCount: 400,
+        size: 0.12,
+        sizeJitter: 0.4,
+        speed: [80, 220],
+        direction: "radial",
+        lift: 80,
+        gravity: 260,
+        spin: 3,
+        lifetime: [0.9, 1.6]
+    }
+};
+
+// Occlusion-tolerant keypoints (hidden keypoints are predicted per tracked person, see OCCLUSION PREDICTION)
+const OCCLUSION_MIN_CONFIDENCE = 0.3;      // keypoints below this are treated as hidden
+const OCCLUSION_TIMEOUT_MS = 1000;         // hidden keypoints are predicted this long, then left hidden (overlay fades out)
+const OCCLUSION_VELOCITY_DECAY_MS = 250;   // extrapolated keypoints coast to a stop with this time constant
+const OCCLUSION_PREDICTED_CONFIDENCE = 0.3; // confidence given to predicted keypoints (visible to anchoring and warping;
+                                            // pose scoring, features and gestures skip them, see isDetectedKeypoint)
+const SYMMETRY_REFERENCE = {               // the opposite joint pair used to infer a hidden point from its partner
+    shoulder: "hip",
+    hip: "shoulder",
+    elbow: "shoulder",
+    knee: "hip"
+};
+
+// Overlay lifecycle: spawn (intro) -> active -> fading (outro) -> removed -> destroyed
+const OVERLAY_LIFECYCLE = {
+    intro: "scaleUp",       // "scaleUp", "fade" or "dissolve"
+    outro: "dissolve",      // "scaleUp" (shrinks away), "fade" or "dissolve"
+    introMs: 450,
+    outroMs: 600,
+    removeAfterMs: 3000,    // hidden planes are destroyed after this long
+    minScale: 0.6,          // starting scale of the scaleUp animation
+    dissolveNoiseScale: 18  // size of the dissolve noise cells, in screen px
 };
 
-// Jitter reduction constants
-const ANCHOR_SMOOTH = 0.15;      // 0..1, higher = more smoothing for container position
-const SCALE_SMOOTH = 0.15;       // 0..1, smoothing for container scale
-const DEAD_ZONE_PX = 0.4;        // px threshold for anchor X/Y changes
-const SCALE_DEAD = 0.002;        // unit threshold for scale changes
+// Smooth 2D value noise (hash + noise), spliced into the shaders below that need it
+const GLSL_NOISE = `
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+               mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+}
+`;
+
+// Noise dissolve: pixels whose noise value is below uProgress are cut away
+const DISSOLVE_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform float uProgress;
+uniform float uNoiseScale;
+
+${GLSL_NOISE}
+void main() {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+    float n = noise(gl_FragCoord.xy / uNoiseScale) * 0.7 + noise(gl_FragCoord.xy / (uNoiseScale * 0.3)) * 0.3;
+    float keep = smoothstep(uProgress - 0.05, uProgress + 0.05, n);
+    gl_FragColor = color * keep;
+}
+`;
+
+// Texture transitions: when a shown overlay switches texture (pose change, charge stage), its plane
+// blends from the previous texture in the shader instead of cutting (see startTextureTransition)
+const TEXTURE_TRANSITION = {
+    type: "inkBleed",       // "crossfade", "dissolve" (noise), "inkBleed" (noisy wipe spreading from the torso) or "none"
+    durationMs: 900,
+    noiseScale: 6           // noise cells across the texture width for the dissolve / ink-bleed edges
+};
+const TRANSITION_MODES = { crossfade: 0, dissolve: 1, inkBleed: 2 }; // uMode values in TRANSITION_FRAGMENT
+
+// Default mesh vertex shader, plus the raw plane UV for sampling the previous texture
+const TRANSITION_VERTEX = `
+attribute vec2 aVertexPosition;
+attribute vec2 aTextureCoord;
+uniform mat3 projectionMatrix;
+uniform mat3 translationMatrix;
+uniform mat3 uTextureMatrix;
+varying vec2 vTextureCoord;
+varying vec2 vUv;
+
+void main() {
+    gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+    vTextureCoord = (uTextureMatrix * vec3(aTextureCoord, 1.0)).xy;
+    vUv = aTextureCoord;
+}
+`;
+
+// Blend from uSamplerFrom to uSampler as uProgress goes 0 -> 1. The previous texture is sampled
+// at vUv * uFromScale + uFromOffset, so it stays where it was on the body whatever its size and rig,
+// within its frame uFromFrame (x, y, width, height in sampler UVs; a sprite-sheet frame or the whole image).
+const TRANSITION_FRAGMENT = `
+varying vec2 vTextureCoord;
+varying vec2 vUv;
+uniform sampler2D uSampler;
+uniform sampler2D uSamplerFrom;
+uniform vec4 uColor;
+uniform float uProgress;
+uniform float uMode;
+uniform float uNoiseScale;
+uniform vec2 uFromScale;
+uniform vec2 uFromOffset;
+uniform vec4 uFromFrame;
+uniform vec2 uOrigin;
+uniform float uAspect;
+
+${GLSL_NOISE}
+void main() {
+    vec4 to = texture2D(uSampler, vTextureCoord);
+    vec2 fromUv = vUv * uFromScale + uFromOffset;
+    vec4 from = vec4(0.0);
+    if (fromUv.x >= 0.0 && fromUv.x <= 1.0 && fromUv.y >= 0.0 && fromUv.y <= 1.0) {
+        from = texture2D(uSamplerFrom, uFromFrame.xy + fromUv * uFromFrame.zw);
+    }
+
+    vec2 p = vUv * vec2(1.0, uAspect);
+    float t = uProgress;
+    if (uMode > 1.5) {
+        // Ink bleed: a noisy front spreading out from the torso anchor
+        float n = noise(p * uNoiseScale) * 0.2 + noise(p * uNoiseScale * 4.0) * 0.05;
+        float reach = uProgress * 1.8;
+        t = 1.0 - smoothstep(reach - 0.1, reach, length((vUv - uOrigin) * vec2(1.0, uAspect)) + n);
+    } else if (uMode > 0.5) {
+        // Noise dissolve: cells switch over in noise order
+        float n = noise(p * uNoiseScale) * 0.7 + noise(p * uNoiseScale * 3.3) * 0.3;
+        t = smoothstep(n - 0.08, n + 0.08, uProgress * 1.16 - 0.08);
+    }
+    gl_FragColor = mix(from, to, t) * uColor;
+}
+`;
+
+// Layer filter shaders (see FILTER STACKS). Filters draw premultiplied colors; inputSize, inputClamp
+// and outputFrame are Pixi's filter globals, used for screen-space patterns that don't swim with the overlay.
+
+// Displacement: pixels are pushed around by uStrength px along drifting noise (cells of uScale px)
+const DISPLACEMENT_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec4 inputSize;
+uniform vec4 inputClamp;
+uniform vec4 outputFrame;
+uniform float uStrength;
+uniform float uScale;
+uniform float uSpeed;
+uniform float uTime;
+
+${GLSL_NOISE}
+void main() {
+    vec2 screen = vTextureCoord * inputSize.xy + outputFrame.xy;
+    vec2 p = screen / uScale + uTime * uSpeed;
+    vec2 offset = vec2(noise(p), noise(p + vec2(17.0, 31.0))) * 2.0 - 1.0;
+    gl_FragColor = texture2D(uSampler, clamp(vTextureCoord + offset * uStrength * inputSize.zw, inputClamp.xy, inputClamp.zw));
+}
+`;
+
+// Hand-drawn sketch: pencil outlines where the brightness changes, hatching in the midtones,
+// cross-hatching in the shadows, on white paper (transparent areas count as paper)
+const SKETCH_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec4 inputSize;
+uniform vec4 outputFrame;
+uniform float uAmount;
+uniform float uLineWidth;
+uniform float uHatch;
+
+float paper(vec2 uv) {
+    vec4 c = texture2D(uSampler, uv);
+    return 1.0 - c.a + dot(c.rgb, vec3(0.299, 0.587, 0.114));
+}
+
+void main() {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+
+    // Sobel edges on the paper brightness
+    vec2 d = inputSize.zw * uLineWidth;
+    float tl = paper(vTextureCoord + vec2(-d.x, -d.y));
+    float t = paper(vTextureCoord + vec2(0.0, -d.y));
+    float tr = paper(vTextureCoord + vec2(d.x, -d.y));
+    float l = paper(vTextureCoord + vec2(-d.x, 0.0));
+    float r = paper(vTextureCoord + vec2(d.x, 0.0));
+    float bl = paper(vTextureCoord + vec2(-d.x, d.y));
+    float b = paper(vTextureCoord + vec2(0.0, d.y));
+    float br = paper(vTextureCoord + vec2(d.x, d.y));
+    float gx = (tr + 2.0 * r + br) - (tl + 2.0 * l + bl);
+    float gy = (bl + 2.0 * b + br) - (tl + 2.0 * t + tr);
+    float edge = smoothstep(0.2, 0.6, length(vec2(gx, gy)));
+
+    vec2 screen = vTextureCoord * inputSize.xy + outputFrame.xy;
+    float shade = paper(vTextureCoord);
+    float lineA = 1.0 - step(1.0, mod(screen.x + screen.y, uHatch));
+    float lineB = 1.0 - step(1.0, mod(screen.x - screen.y, uHatch));
+    float hatch = lineA * step(shade, 0.65) + lineB * step(shade, 0.35);
+
+    float ink = clamp(edge + hatch * 0.5, 0.0, 1.0);
+    gl_FragColor = mix(color, vec4(vec3(1.0 - ink) * color.a, color.a), uAmount);
+}
+`;
+
+// Halftone: a screen of dots (cells of uSize px, rotated by uAngle degrees) that grow with the
+// darkness at their cell center, in that center's color
+const HALFTONE_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec4 inputSize;
+uniform vec4 inputClamp;
+uniform vec4 outputFrame;
+uniform float uAmount;
+uniform float uSize;
+uniform float uAngle;
+
+void main() {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+
+    float a = radians(uAngle);
+    mat2 rotation = mat2(cos(a), -sin(a), sin(a), cos(a));
+    vec2 screen = vTextureCoord * inputSize.xy + outputFrame.xy;
+    vec2 grid = rotation * screen / uSize;
+    vec2 center = ((floor(grid) + 0.5) * uSize) * rotation; // back to screen space (inverse rotation)
+    vec4 cell = texture2D(uSampler, clamp((center - outputFrame.xy) * inputSize.zw, inputClamp.xy, inputClamp.zw));
+
+    float darkness = cell.a - dot(cell.rgb, vec3(0.299, 0.587, 0.114));
+    float radius = sqrt(clamp(darkness, 0.0, 1.0)) * 0.7071;
+    float inDot = 1.0 - smoothstep(radius - 0.05, radius + 0.05, length(fract(grid) - 0.5));
+    vec3 ink = cell.a > 0.0 ? cell.rgb / cell.a : vec3(0.0);
+    gl_FragColor = mix(color, vec4(mix(vec3(1.0), ink, inDot) * color.a, color.a), uAmount);
+}
+`;
+
+// Chromatic aberration: red and blue split uOffset px apart along uAngle degrees
+const CHROMATIC_ABERRATION_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec4 inputSize;
+uniform vec4 inputClamp;
+uniform float uOffset;
+uniform float uAngle;
+
+void main() {
+    float a = radians(uAngle);
+    vec2 shift = vec2(cos(a), sin(a)) * uOffset * inputSize.zw;
+    vec4 red = texture2D(uSampler, clamp(vTextureCoord + shift, inputClamp.xy, inputClamp.zw));
+    vec4 green = texture2D(uSampler, vTextureCoord);
+    vec4 blue = texture2D(uSampler, clamp(vTextureCoord - shift, inputClamp.xy, inputClamp.zw));
+    gl_FragColor = vec4(red.r, green.g, blue.b, max(max(red.a, green.a), blue.a));
+}
+`;
+
+// Color grading: exposure (stops), contrast and saturation around neutral 1, then a tint multiplier
+const COLOR_GRADE_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform float uAmount;
+uniform float uExposure;
+uniform float uContrast;
+uniform float uSaturation;
+uniform vec3 uTint;
+
+void main() {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+    vec3 rgb = color.a > 0.0 ? color.rgb / color.a : vec3(0.0);
+    rgb *= exp2(uExposure);
+    rgb = (rgb - 0.5) * uContrast + 0.5;
+    rgb = mix(vec3(dot(rgb, vec3(0.299, 0.587, 0.114))), rgb, uSaturation);
+    rgb = clamp(rgb * uTint, 0.0, 1.0);
+    gl_FragColor = mix(color, vec4(rgb * color.a, color.a), uAmount);
+}
+`;
+
+// Silhouette mask: keeps the overlay inside (uInside 1) or outside (0) the segmented people.
+// With uUseBox the silhouette only counts within uBox (the owner's body, screen UVs x0, y0, x1, y1).
+const SILHOUETTE_FRAGMENT = `
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform sampler2D uMask;
+uniform vec4 inputSize;
+uniform vec4 outputFrame;
+uniform vec2 uScreenSize;
+uniform float uInside;
+uniform float uFeather;
+uniform vec4 uBox;
+uniform float uUseBox;
+
+void main() {
+    vec2 screenUv = (vTextureCoord * inputSize.xy + outputFrame.xy) / uScreenSize;
+    float person = smoothstep(0.5 - uFeather, 0.5 + uFeather, texture2D(uMask, screenUv).a);
+    if (uUseBox > 0.5) {
+        vec2 inBox = step(uBox.xy, screenUv) * step(screenUv, uBox.zw);
+        person *= inBox.x * inBox.y;
+    }
+    float keep = uInside > 0.5 ? person : 1.0 - person;
+    gl_FragColor = texture2D(uSampler, vTextureCoord) * keep;
+}
+`;
+
+// Landscape blend: draws landscape 0 and paints landscapes 1-3 over it, each where a noise mask falls
+// below its share of the posing visitors (uShare) or within the patch around a visitor posing it.
+// uPeople: frame UV (xy), patch radius in frame heights (z), landscape index (w); patches around
+// visitors posing landscape 0 keep the others away. uCoverN maps frame UVs into landscape N (scale, offset).
+const LANDSCAPE_BLEND_FRAGMENT = `
+#define MAX_PEOPLE 4
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec4 inputSize;
+uniform vec4 outputFrame;
+uniform vec4 uFrame;
+uniform float uAspect;
+uniform sampler2D uLandscape0;
+uniform sampler2D uLandscape1;
+uniform sampler2D uLandscape2;
+uniform sampler2D uLandscape3;
+uniform vec4 uCover0;
+uniform vec4 uCover1;
+uniform vec4 uCover2;
+uniform vec4 uCover3;
+uniform vec4 uShare;
+uniform vec4 uPeople[MAX_PEOPLE];
+uniform float uSoftness;
+uniform float uNoiseScale;
+
+${GLSL_NOISE}
+float patch(vec2 uv, float index) {
+    float weight = 0.0;
+    for (int i = 0; i < MAX_PEOPLE; i++) {
+        vec4 person = uPeople[i];
+        if (person.z <= 0.0 || abs(person.w - index) > 0.5) continue;
+        float d = length((uv - person.xy) * vec2(uAspect, 1.0));
+        weight = max(weight, 1.0 - smoothstep(person.z * (1.0 - uSoftness), person.z, d));
+    }
+    return weight;
+}
+
+float landscapeWeight(vec2 uv, float index, float share) {
+    float mask = noise(uv * vec2(uAspect, 1.0) * uNoiseScale + index * 17.0);
+    float edge = uSoftness * 0.5;
+    float shown = smoothstep(mask - edge, mask + edge, share * (1.0 + 2.0 * edge) - edge);
+    return max(shown, patch(uv, index));
+}
+
+vec4 paintOver(vec4 color, vec4 landscape, float weight) {
+    return landscape * weight + color * (1.0 - landscape.a * weight);
+}
+
+void main() {
+    vec2 uv = (vTextureCoord * inputSize.xy + outputFrame.xy - uFrame.xy) / uFrame.zw;
+    float keep = 1.0 - patch(uv, 0.0);
+    vec4 color = texture2D(uLandscape0, uv * uCover0.xy + uCover0.zw);
+    color = paintOver(color, texture2D(uLandscape1, uv * uCover1.xy + uCover1.zw), landscapeWeight(uv, 1.0, uShare.y) * keep);
+    color = paintOver(color, texture2D(uLandscape2, uv * uCover2.xy + uCover2.zw), landscapeWeight(uv, 2.0, uShare.z) * keep);
+    color = paintOver(color, texture2D(uLandscape3, uv * uCover3.xy + uCover3.zw), landscapeWeight(uv, 3.0, uShare.w) * keep);
+    gl_FragColor = color * texture2D(uSampler, vTextureCoord).a;
+}
+`;
+
+// Keypoint filtering for jitter reduction (applied once per tracked person, see KEYPOINT FILTERING)
+const KEYPOINT_FILTER = "oneEuro";          // "oneEuro", "kalman" or "none"
+const KEYPOINT_FILTER_MIN_CONFIDENCE = 0.1; // keypoints below this pass through unfiltered and reset their filter
+const ONE_EURO_SETTINGS = {
+    minCutoff: 1.0,         // Hz, lower = steadier when standing still
+    beta: 0.02,             // cutoff increase per px/sec of speed, higher = less lag when moving
+    dCutoff: 1.0            // Hz, cutoff for the speed estimate
+};
+const KALMAN_SETTINGS = {
+    processNoise: 4000,     // acceleration noise (px^2/s^3), higher = follows sudden moves faster
+    measurementNoise: 9,    // detection noise (px^2), higher = steadier
+    initialVelocityVariance: 10000 // uncertainty of a new keypoint's unknown velocity ((px/s)^2), higher = picks it up faster
+};
 
 // Preloaded textures
-let primeTex = null; // generated/Prime_1.png texture
-let jesusTex = null; // generated/Jesus_1.png texture
-let bgTex = null;
-let bgSprite = null; // Background sprite
+let poseTextures = {}; // Pixi texture per pose name, from each definition's "texture"
+let poseStageTextures = {}; // [texture, ...] per pose name, from each definition's "charge.stages"
+let poseVariantTextures = {}; // [{ texture, weight }, ...] per pose name, from each definition's "variants"
+let overlayTextures = new Map(); // loading/loaded overlay texture per URL, shared by scenes
+let bgGroup = null; // Background layers of the active scene (container of cover-scaled sprites)
 
 // Pose-to-mesh vertex mapping
 const POSE_VERTEX_MAP = {
@@ -102,12 +645,91 @@ const POSE_VERTEX_MAP = {
     left_hip: 20,        // Row 4, Col 2
     right_hip: 21        // Row 4, Col 3
 };
-const SMOOTHING_FACTOR = 0.25; // Lerp factor for jitter reduction
+// Mesh warp: every vertex moves by the inverse-distance weighted displacement of the control points.
+// Torso keypoints pin their POSE_VERTEX_MAP vertex; the keypoints below pull the vertices around them
+// by how far they moved (in plane space) since the texture was applied.
+const WARP_SETTINGS = {
+    keypoints: ["nose", "left_elbow", "right_elbow", "left_wrist", "right_wrist", "left_knee", "right_knee"],
+    power: 2,               // falloff exponent, higher = control points only affect nearby vertices
+    minConfidence: 0.3      // control keypoints below this are left out of the warp
+};
+// Duet planes bind the outer columns of the grid to the pair's outer shoulders/hips
+const DUET_VERTEX_MAP = {
+    left_shoulder: 13,   // left person's left shoulder (Row 2, Col 1)
+    right_shoulder: 16,  // right person's right shoulder (Row 2, Col 4)
+    left_hip: 19,        // left person's left hip (Row 3, Col 1)
+    right_hip: 22        // right person's right hip (Row 3, Col 4)
+};
+
+// Overlay texture rigs: a JSON sidecar next to an overlay image (generated/Jesus_1.json for
+// generated/Jesus_1.png) overrides these for that texture (see createTextureRig)
+const DEFAULT_TEXTURE_RIG = {
+    pivot: { x: 0.5, y: 0.5 },      // texture point (fractions) placed on the torso anchor
+    scale: 5.5,                     // plane width in shoulder widths
+    grid: { cols: COLS, rows: ROWS }, // mesh vertices per row / column
+    bindings: POSE_VERTEX_MAP,      // keypoint name -> grid vertex pinned to it
+    physics: null                   // secondary motion settings (see MESH_PHYSICS), null = rigid warp
+};
+let textureRigs = new Map();        // rig per loaded overlay texture
+const RIG_KEYPOINT_NAMES = [        // bodyPose keypoints a rig can bind
+    "nose", "left_eye", "right_eye", "left_ear", "right_ear",
+    "left_shoulder", "right_shoulder", "left_elbow", "right_elbow", "left_wrist", "right_wrist",
+    "left_hip", "right_hip", "left_knee", "right_knee", "left_ankle", "right_ankle"
+];
+
+// Animated overlays: a sprite sheet (an "animation" block in its sidecar), an animated GIF/WebP
+// (decoded into a sprite sheet) or a video, still mesh-warped and blend-moded (see ANIMATED TEXTURES)
+const ANIMATED_TEXTURE = {
+    fps: 12,                // sprite-sheet frame rate when the sidecar doesn't set one (GIF/WebP keep their own timing)
+    playback: "loop",       // "loop", "pingPong" or "once" (holds the last frame)
+    playOnEnter: false,     // restart from the first frame each time the pose becomes active
+    maxSheetSize: 4096,     // decoded GIF/WebP frames are shrunk to fit one texture this wide/high
+    videoTypes: ["mp4", "webm", "mov", "m4v"],
+    decodedTypes: ["gif", "webp"]
+};
+let animatedSources = new Map();    // { baseTexture, frames, durations, totalMs, settings } or { video, settings, start } per animated texture
+let overlayAnimations = {};         // { enteredAt, instances: Map(animated texture -> { texture, source, start, frameIndex }) } per person ID or duet owner
+
+// Secondary motion: unpinned vertices follow their warped position on damped springs (see MESH PHYSICS).
+// Enabled per texture by a "physics" entry in its rig sidecar, which may override stiffness/damping.
+const MESH_PHYSICS = {
+    stiffness: 120,         // spring pull toward the warped position (1/s^2), higher = stiffer
+    damping: 10,            // velocity damping (1/s), higher = settles faster with less sway
+    stepMs: 1000 / 120,     // fixed simulation step, so the motion is the same at any frame rate
+    maxSteps: 15            // steps per frame at most (125 ms); after a longer stall the mesh snaps into place
+};
 
 // Mesh blend mode for SimplePlane overlays
 const MESH_BLEND_MODE = PIXI.BLEND_MODES.MULTIPLY;
 // Alternative options to try later: SCREEN, OVERLAY, ADD
 
+// Filter stacks per layer, applied in order (see FILTER STACKS). Each entry is a filter type plus
+// its parameters; a parameter is a number, or driven by an input such as arm spread or movement
+// speed: { "from": "speed", "range": [0.5, 3], "to": [0, 8] } maps the input range onto the value range.
+const LAYER_FILTERS = {
+    background: [],         // bgContainer
+    meshes: [],             // meshesContainer, all overlays together (the last filter takes over MESH_BLEND_MODE)
+    person: [],             // each person's overlay, driven by that person
+    foreground: []          // fgContainer
+};
+const FILTER_DRIVER_SMOOTH = 0.15;      // default lerp factor per frame for driven parameters
+const FILTER_INPUT_MIN_CONFIDENCE = 0.3; // keypoints below this don't feed arm spread / speed
+let layerFilterStacks = {};             // [{ type, params, filter, values }, ...] per layer name
+let personFilterStacks = {};            // [{ type, params, filter, values }, ...] per person plane
+
+// Depth layering with body segmentation: a pose or duet definition's "silhouette" puts its overlay
+// behind its person, inside their silhouette or outside everyone's (see SILHOUETTE MASKS)
+const SILHOUETTE_MASK = {
+    model: "SelfieSegmentation", // ml5 bodySegmentation model ("SelfieSegmentation" or "BodyPix")
+    defaultMode: "over",         // "over" (no mask), "behind", "inside" or "outside"
+    feather: 0.3,                // edge softness, in mask alpha around the 0.5 threshold
+    boxPadding: 0.75             // a person's own silhouette is taken within their keypoint box grown by this (body units)
+};
+let bodySegmentation = null;
+let silhouetteCanvas = null;            // latest person mask (alpha = person) in video space
+let silhouetteTexture = null;           // Pixi texture of silhouetteCanvas, null until the first mask
+let silhouetteFilters = {};             // silhouette mask filter per person ID or duet owner
+
 /*
 ===========================================================
 SETUP
@@ -121,11 +743,7 @@ function preload() {
     // Preload the bodyPose model using ml5.js with horizontal flip for mirroring
     bodyPose = ml5.bodyPose({ flipHorizontal: true });
 
-    // Load local images for poses
-    jesusImage = loadImage('./generated/Jesus_1.png');
-    primeImage = loadImage('./generated/Prime_1.png');
-
-    console.log("Loading local images: Jesus_1.png and Prime_1.png");
+    // Pose images are loaded together with the pose registry (see loadPoseRegistry)
 }
 
 function setup() {
@@ -153,6 +771,15 @@ function setup() {
     // Initialize PixiJS overlay
     initializePixiOverlay();
 
+    // Load gesture templates and wire pose/gesture events to their actions
+    loadGestureRegistry();
+    setupPoseActions();
+    setupPoseVariants();
+    setupOverlayAnimations();
+
+    // Restore the trained pose model (local storage first, then the shipped file)
+    loadPoseModel();
+
     // Setup control buttons
     setupControls();
 
@@ -200,11 +827,14 @@ async function initializePixiOverlay() {
     meshesContainer = new PIXI.Container();
     meshesContainer.zIndex = 10;
 
+    fxContainer = new PIXI.Container();
+    fxContainer.zIndex = 15;
+
     fgContainer = new PIXI.Container();
     fgContainer.zIndex = 20;
 
     // Add containers to stage in order
-    pixiApp.stage.addChild(bgContainer, meshesContainer, fgContainer);
+    pixiApp.stage.addChild(bgContainer, meshesContainer, fxContainer, fgContainer);
 
     // Create mask for fgContainer (bottom 30% band)
     fgMask = new PIXI.Graphics();
@@ -217,46 +847,33 @@ async function initializePixiOverlay() {
     const yTop = Math.floor(h * (1 - FG_FRACTION));
     fgMask.clear().beginFill(0xffffff).drawRect(0, yTop, w, h - yTop).endFill();
 
-    try {
-        // Preload all textures once
-        primeTex = await PIXI.Assets.load("generated/Prime_1.png");
-        jesusTex = await PIXI.Assets.load("generated/Jesus_1.png");
-        lilyTex = await PIXI.Assets.load("./front-images/water-lily.png");
-        bgTex = await PIXI.Assets.load("./bg-images/mountain.png");
-
-        // Create background sprite from texture
-        bgSprite = new PIXI.Sprite(bgTex);
-        bgSprite.anchor.set(0.5);
-        bgSprite.x = pixiApp.renderer.width / 2;
-        bgSprite.y = pixiApp.renderer.height / 2;
-
-        // Background should render normally
-        bgSprite.blendMode = PIXI.BLEND_MODES.NORMAL;
-
-        // Set background opacity to 70%
-        bgSprite.alpha = BG_ALPHA;
+    // Filter stacks of the background, overlay and foreground layers
+    setupLayerFilters();
+
+    // Start particle and background ticker (runs whatever the scene loading below manages to load)
+    let last = performance.now() / 1000;
+    pixiApp.ticker.add(() => {
+        const now = performance.now() / 1000;
+        const dt = Math.min(now - last, 0.05);
+        last = now;
+        updateParticles(dt);
+        updateSceneFades();
+        updateBackgroundLayers(dt);
+    });
 
-        // Scale to fit canvas while preserving aspect ratio (cover mode)
-        const scaleX = pixiApp.renderer.width / bgTex.width;
-        const scaleY = pixiApp.renderer.height / bgTex.height;
-        const scale = Math.max(scaleX, scaleY);
-        bgSprite.scale.set(scale);
+    try {
+        // Load pose definitions (starting body segmentation if one needs it), then preload one texture per pose
+        await loadPoseRegistry();
+        setupSilhouetteMasks();
 
-        // Add to background container
-        bgContainer.addChild(bgSprite);
+        // Load the scene list and show the first scene (background, foreground, overlay textures, filters);
+        // assets that fail to load are skipped one by one
+        await loadSceneRegistry();
+        await switchScene(sceneRegistry[0].name, 0);
 
         // Create debug markers for vertices 14, 15, 26, 27
         // createDebugMarkers();
 
-        // Start foreground particle ticker
-        let last = performance.now() / 1000;
-        pixiApp.ticker.add(() => {
-            const now = performance.now() / 1000;
-            const dt = Math.min(now - last, 0.05);
-            last = now;
-            if (!fgPaused) updateFgParticles(dt);
-        });
-
         console.log("PixiJS overlay initialized with multi-person support, preloaded textures, layered containers, fgContainer mask, and particle system");
     } catch (error) {
         console.error('Error loading PixiJS textures:', error);
@@ -272,7 +889,7 @@ function resizeAllTo(w, h) {
         pixiApp.renderer.resize(w, h);
         pixiApp.view.style.width = w + 'px';
         pixiApp.view.style.height = h + 'px';
-        updateFgMask();                   // also rescale bgSprite inside it
+        updateFgMask();                   // also rescale the background layers
     }
 }
 
@@ -285,117 +902,10 @@ function updateFgMask() {
     const yTop = Math.floor(h * (1 - FG_FRACTION));
     fgMask.clear().beginFill(0xffffff).drawRect(0, yTop, w, h - yTop).endFill();
 
-    // Update background sprite size and position
-    if (bgSprite && bgTex) {
-        bgSprite.x = w / 2;
-        bgSprite.y = h / 2;
-        const scaleX = w / bgTex.width;
-        const scaleY = h / bgTex.height;
-        const scale = Math.max(scaleX, scaleY);
-        bgSprite.scale.set(scale);
-    }
-}
-
-// Spawn a new lily particle in the foreground container
-function spawnFgParticle() {
-    if (!lilyTex || fgParticles.length >= FG_SETTINGS.maxParticles) return;
-
-    const w = pixiApp.renderer.width;
-    const h = pixiApp.renderer.height;
-    const yBandTop = Math.floor(h * (1 - FG_FRACTION));
-    const yBandH = h - yBandTop;
-
-    const spr = new PIXI.Sprite(lilyTex);
-    spr.anchor.set(0.5);
-    spr.alpha = FG_SETTINGS.alphaStart;
-    spr.blendMode = FG_SETTINGS.blendMode;
-
-    // Randomize initial horizontal placement
-    spr.x = Math.random() * w;
-
-    // Random scale (uniform), based on baseScale
-    const s = FG_SETTINGS.baseScale * (1 + FG_SETTINGS.scaleJitter * (Math.random() * 2 - 1));
-    spr.scale.set(s);
-
-    // Compute half-height and sine amplitude margin for safe spawning
-    const half = spr.height * 0.5;
-    const amp = FG_SETTINGS.sineAmp;
-
-    // Define minY so the sprite never crosses above the band
-    const minY = yBandTop + half + amp;
-
-    // Allow downward slack (can go below screen)
-    const downSlack = yBandH + amp;
-
-    // Set Y position with downward freedom
-    spr.y = minY + Math.random() * downSlack;
-
-    // Random horizontal direction & speed
-    const dir = Math.random() < 0.5 ? -1 : 1;
-    const speed = smoothLerp(FG_SETTINGS.speedMin, FG_SETTINGS.speedMax, Math.random()) * dir;
-
-    // Lifetime seconds
-    const life = smoothLerp(FG_SETTINGS.lifetimeMin, FG_SETTINGS.lifetimeMax, Math.random());
-
-    // Per-particle state
-    spr.__p = {
-        age: 0,
-        life,
-        speed,
-        phase: Math.random() * Math.PI * 2, // sine seed
-        sineAmp: FG_SETTINGS.sineAmp * (0.7 + Math.random()*0.6),
-        sineFreq: FG_SETTINGS.sineFreq * (0.8 + Math.random()*0.4),
-        baseY: spr.y
-    };
-
-    fgContainer.addChild(spr);
-    fgParticles.push(spr);
-}
-
-// Update all foreground particles
-function updateFgParticles(dt) {
-    const w = pixiApp.renderer.width;
-    const h = pixiApp.renderer.height;
-    const yBandTop = Math.floor(h * (1 - FG_FRACTION));
-
-    // Spawn at rate (particles/sec)
-    fgSpawnAccumulator += dt * FG_SETTINGS.spawnRate;
-    while (fgSpawnAccumulator >= 1) {
-        spawnFgParticle();
-        fgSpawnAccumulator -= 1;
-    }
-
-    // Update & recycle
-    for (let i = fgParticles.length - 1; i >= 0; i--) {
-        const spr = fgParticles[i];
-        const p = spr.__p;
-
-        p.age += dt;
-
-        // Horizontal move + wrap
-        spr.x += p.speed * dt;
-        if (spr.x < -spr.width) spr.x = w + spr.width * 0.5;
-        if (spr.x > w + spr.width) spr.x = -spr.width * 0.5;
-
-        // Gentle sine drift around baseY with clamping
-        p.phase += p.sineFreq * dt;
-        spr.y = p.baseY + Math.sin(p.phase) * p.sineAmp;
-
-        // Clamp Y only at the top - allow downward movement
-        const half = spr.height * 0.5;
-        const topLimit = yBandTop + half;
-        if (spr.y < topLimit) spr.y = topLimit;
-
-        // Lifetime alpha fade (ease-in-out-ish)
-        const t = Math.min(p.age / p.life, 1);
-        spr.alpha = smoothLerp(FG_SETTINGS.alphaStart, FG_SETTINGS.alphaEnd, t);
-
-        // Recycle when dead
-        if (p.age >= p.life) {
-            fgContainer.removeChild(spr);
-            fgParticles.splice(i, 1);
-        }
-    }
+    // Update background layer sizes and positions (including layers fading out after a scene switch)
+    bgContainer.children.forEach((group) => {
+        group.children.forEach((sprite) => coverBackgroundLayer(sprite));
+    });
 }
 
 // Reset mesh vertices for a specific plane to fill the current canvas area
@@ -434,122 +944,499 @@ function resetMeshLocal(plane) {
     const posBuffer = plane.geometry.getBuffer('aVertexPosition');
     const positions = posBuffer.data;
     const texture = plane.texture;
+    const cols = plane.geometry.segWidth;
+    const rows = plane.geometry.segHeight;
 
     // Layout vertices in the plane's LOCAL space using the texture size
-    for (let row = 0; row < ROWS; row++) {
-        for (let col = 0; col < COLS; col++) {
-            const vertexIndex = (row * COLS + col) * 2;
-            const x = (col / (COLS - 1)) * texture.width;
-            const y = (row / (ROWS - 1)) * texture.height;
-            positions[vertexIndex] = x;
-            positions[vertexIndex + 1] = y;
-        }
+    for (let vertexIndex = 0; vertexIndex < cols * rows; vertexIndex++) {
+        const rest = gridVertexRest(plane, vertexIndex);
+        positions[vertexIndex * 2] = rest.x;
+        positions[vertexIndex * 2 + 1] = rest.y;
     }
     posBuffer.update();
 
-    console.log(`Mesh reset local: ${COLS}x${ROWS} grid covering ${texture.width}x${texture.height} texture`);
+    console.log(`Mesh reset local: ${cols}x${rows} grid covering ${texture.width}x${texture.height} texture`);
+}
+
+// Keep Pixi per-person entries in sync with the tracked person IDs:
+// entries of people dropped by the tracker are destroyed
+function syncPixiPersons(personIds) {
+    // Add entries for new people
+    personIds.forEach((id) => {
+        if (id in planes) return;
+        planes[id] = null;
+        planeContainers[id] = null;
+        planePosBufs[id] = null;
+        planePoseType[id] = "Neutral";
+        chargeRings[id] = null;
+        planeBindPoses[id] = {};
+        planePhysics[id] = {};
+    });
+
+    // Remove planes, containers and rings of people that are gone
+    for (const id in planes) {
+        if (personIds.includes(Number(id))) continue;
+        destroyPersonPlane(id);
+        if (chargeRings[id]) {
+            chargeRings[id].destroy();
+        }
+        delete planes[id];
+        delete planeContainers[id];
+        delete planePosBufs[id];
+        delete planePoseType[id];
+        delete chargeRings[id];
+        delete planeBindPoses[id];
+        delete planePhysics[id];
+        delete planeTransitions[id];
+        releaseOverlayAnimations(id);
+    }
 }
 
-// Ensure Pixi-related arrays are sized to match poses.length
-function resizePixiPersonArrays(numPersons) {
-    // Extend arrays if we have more people
-    while (planes.length < numPersons) {
-        planes.push(null);
-        planeContainers.push(null);
-        planePosBufs.push(null);
-        planePoseType.push("Neutral");
-        lastVertexPositions.push({});
-        anchorPos.push({ x: 0, y: 0 });
-        anchorScale.push(1);
+// Keep p5/state entries in sync with the tracked person IDs (people briefly
+// lost by the tracker keep their state until they are dropped)
+function syncPersonStates(personIds) {
+    // Add entries for new people
+    personIds.forEach((id) => {
+        if (id in personStates) return;
+        personStates[id] = "Neutral";
+        personLastStates[id] = "Neutral";
+        personStableStates[id] = "Neutral";
+        personStableCounters[id] = 0;
+        personOverlayImages[id] = null;
+        personHistories[id] = [];
+        personGestureCooldowns[id] = {};
+        personOverlayOverrides[id] = null;
+        personPoseScores[id] = {};
+        personActivePoses[id] = { name: "Neutral", since: 0, score: 0, pendingName: null, pendingSince: 0 };
+        personCharges[id] = createPoseCharge(null);
+        personVariants[id] = { current: {}, previous: {} };
+    });
+
+    // Remove entries of people that are gone
+    for (const id in personStates) {
+        if (personIds.includes(Number(id))) continue;
+        delete personStates[id];
+        delete personLastStates[id];
+        delete personStableStates[id];
+        delete personStableCounters[id];
+        delete personOverlayImages[id];
+        delete personHistories[id];
+        delete personGestureCooldowns[id];
+        delete personOverlayOverrides[id];
+        delete personPoseScores[id];
+        delete personActivePoses[id];
+        delete personCharges[id];
+        delete personVariants[id];
     }
+}
 
-    // Truncate arrays if we have fewer people
-    if (planes.length > numPersons) {
-        // Remove extra planes and containers from stage
-        for (let i = numPersons; i < planes.length; i++) {
-            if (planeContainers[i] && planeContainers[i].parent) {
-                planeContainers[i].parent.removeChild(planeContainers[i]);
-            }
+// Create a plane for a specific person if it doesn't exist, and apply the texture with its rig
+function ensurePlaneForPerson(personId, texture) {
+    if (!planes[personId]) {
+        const rig = getTextureRig(texture);
+
+        // Create container for positioning and scaling
+        planeContainers[personId] = new PIXI.Container();
+        meshesContainer.addChild(planeContainers[personId]);
+
+        // Create plane with the requested pose texture (switched later based on pose)
+        planes[personId] = new PIXI.SimplePlane(texture, rig.grid.cols, rig.grid.rows);
+        planes[personId].shader = createTransitionMaterial(texture);
+        planes[personId].alpha = 1;
+        planes[personId].blendMode = getOverlayBlendMode();
+
+        // Add plane to container, with the person's filter stack (applied by the lifecycle)
+        planeContainers[personId].addChild(planes[personId]);
+        personFilterStacks[personId] = createFilterStack(getLayerFilters("person"));
+
+        // Cache position buffer for performance
+        planePosBufs[personId] = planes[personId].geometry.getBuffer('aVertexPosition');
+
+        // Pivot and mesh vertices in local texture coordinates
+        applyTextureRig(personId, texture);
+
+        // New overlays start with their intro animation
+        overlayLifecycles[personId] = {
+            phase: "spawn",
+            phaseStart: millis(),
+            x: 0,
+            y: 0,
+            scale: 1,
+            alpha: 1,
+            dissolveFilter: null
+        };
+
+        console.log(`Created plane for person ${personId}`);
+    } else if (planes[personId].texture !== texture) {
+        applyTextureRig(personId, texture);
+    }
+}
+
+// Put a texture on a person's plane with its rig: grid size, pivot at the container
+// origin, rest mesh, and a fresh warp bind pose
+function applyTextureRig(personId, texture) {
+    const plane = planes[personId];
+    const rig = getTextureRig(texture);
+
+    // Blend over from the previous texture while the overlay is on screen
+    const previous = plane.texture;
+    const life = overlayLifecycles[personId];
+    if (previous !== texture && TEXTURE_TRANSITION.type !== "none" && life && life.phase !== "removed") {
+        startTextureTransition(personId, previous, texture);
+    }
+
+    plane.texture = texture;
+    const geometry = plane.geometry;
+    if (geometry.segWidth !== rig.grid.cols || geometry.segHeight !== rig.grid.rows ||
+        geometry.width !== texture.width || geometry.height !== texture.height) {
+        geometry.segWidth = rig.grid.cols;
+        geometry.segHeight = rig.grid.rows;
+        geometry.width = texture.width;
+        geometry.height = texture.height;
+        geometry.build();
+    }
+
+    plane.position.set(-texture.width * rig.pivot.x, -texture.height * rig.pivot.y);
+    resetMeshLocal(plane);
+    planeBindPoses[personId] = {};
+    planePhysics[personId] = {};
+}
+
+// Mesh material for person planes that can blend from a previous texture (TRANSITION_FRAGMENT)
+function createTransitionMaterial(texture) {
+    return new PIXI.MeshMaterial(texture, {
+        program: PIXI.Program.from(TRANSITION_VERTEX, TRANSITION_FRAGMENT),
+        uniforms: {
+            uSamplerFrom: texture,
+            uProgress: 1,
+            uMode: TRANSITION_MODES.crossfade,
+            uNoiseScale: TEXTURE_TRANSITION.noiseScale,
+            uFromScale: new Float32Array([1, 1]),
+            uFromOffset: new Float32Array([0, 0]),
+            uFromFrame: new Float32Array([0, 0, 1, 1]),
+            uOrigin: new Float32Array([0.5, 0.5]),
+            uAspect: 1
         }
-        planes = planes.slice(0, numPersons);
-        planeContainers = planeContainers.slice(0, numPersons);
-        planePosBufs = planePosBufs.slice(0, numPersons);
-        planePoseType = planePoseType.slice(0, numPersons);
-        lastVertexPositions = lastVertexPositions.slice(0, numPersons);
-        anchorPos = anchorPos.slice(0, numPersons);
-        anchorScale = anchorScale.slice(0, numPersons);
+    });
+}
+
+// Start blending a person's plane from one texture to the next. The previous texture keeps its
+// place on the body: both rigs put their pivot on the torso anchor at their own scale.
+function startTextureTransition(personId, from, to) {
+    const uniforms = planes[personId].shader.uniforms;
+    const fromRig = getTextureRig(from);
+    const toRig = getTextureRig(to);
+
+    const scaleX = toRig.scale / fromRig.scale;
+    const scaleY = scaleX * (to.height / to.width) / (from.height / from.width);
+    uniforms.uSamplerFrom = from;
+    uniforms.uFromScale[0] = scaleX;
+    uniforms.uFromScale[1] = scaleY;
+    uniforms.uFromOffset[0] = fromRig.pivot.x - toRig.pivot.x * scaleX;
+    uniforms.uFromOffset[1] = fromRig.pivot.y - toRig.pivot.y * scaleY;
+    const base = from.baseTexture;
+    uniforms.uFromFrame[0] = from.frame.x / base.width;
+    uniforms.uFromFrame[1] = from.frame.y / base.height;
+    uniforms.uFromFrame[2] = from.frame.width / base.width;
+    uniforms.uFromFrame[3] = from.frame.height / base.height;
+    uniforms.uOrigin[0] = toRig.pivot.x;
+    uniforms.uOrigin[1] = toRig.pivot.y;
+    uniforms.uAspect = to.height / to.width;
+    uniforms.uMode = TRANSITION_MODES[TEXTURE_TRANSITION.type] || 0;
+    uniforms.uProgress = 0;
+
+    planeTransitions[personId] = { start: millis() };
+}
+
+// Advance every texture transition, also while its overlay fades out, so a pose that returns
+// doesn't find it frozen halfway
+function updateTextureTransitions() {
+    for (const id in planeTransitions) {
+        updateTextureTransition(id);
     }
 }
 
-// Ensure p5/state arrays are sized to match poses.length
-function resizeStateArrays(numPersons) {
-    // Extend arrays if we have more people
-    while (personStates.length < numPersons) {
-        personStates.push("Neutral");
-        personLastStates.push("Neutral");
-        personStableStates.push("Neutral");
-        personStableCounters.push(0);
-        personOverlayImages.push(null);
+// Advance a person's texture transition (eased), back to the plain texture when done
+function updateTextureTransition(personId) {
+    const transition = planeTransitions[personId];
+    if (!transition || !planes[personId]) return;
+
+    const uniforms = planes[personId].shader.uniforms;
+    const t = Math.min((millis() - transition.start) / TEXTURE_TRANSITION.durationMs, 1);
+    uniforms.uProgress = t * t * (3 - 2 * t);
+
+    if (t >= 1) {
+        uniforms.uMode = TRANSITION_MODES.crossfade;
+        uniforms.uProgress = 1;
+        delete planeTransitions[personId];
     }
+}
 
-    // Truncate arrays if we have fewer people
-    if (personStates.length > numPersons) {
-        personStates = personStates.slice(0, numPersons);
-        personLastStates = personLastStates.slice(0, numPersons);
-        personStableStates = personStableStates.slice(0, numPersons);
-        personStableCounters = personStableCounters.slice(0, numPersons);
-        personOverlayImages = personOverlayImages.slice(0, numPersons);
+// Load an overlay texture (animated when its file type or sidecar says so) together with its rig sidecar
+async function loadOverlayTexture(url) {
+    if (!overlayTextures.has(url)) {
+        overlayTextures.set(url, (async () => {
+            const sidecar = await loadTextureSidecar(url);
+            const texture = await loadAnimatedTexture(url, sidecar && sidecar.animation) || await PIXI.Assets.load(url);
+            textureRigs.set(texture, createTextureRig(url, sidecar));
+            return texture;
+        })().catch((error) => {
+            overlayTextures.delete(url); // retry on the next scene that uses it
+            throw error;
+        }));
     }
+    return overlayTextures.get(url);
 }
 
-// Create a plane for a specific person if it doesn't exist
-function ensurePlaneForPerson(personIndex) {
-    if (!planes[personIndex]) {
-        // Create container for positioning and scaling
-        planeContainers[personIndex] = new PIXI.Container();
-        meshesContainer.addChild(planeContainers[personIndex]);
+// Fetch the JSON sidecar of an overlay image (same path, .json), or null if there is none
+async function loadTextureSidecar(url) {
+    const sidecarUrl = getSidecarUrl(url);
+    try {
+        const res = await fetch(sidecarUrl);
+        if (!res.ok) return null;
+        return await res.json();
+    } catch (error) {
+        console.error(`Error loading sidecar ${sidecarUrl}:`, error);
+        return null;
+    }
+}
 
-        // Create plane with default texture (will be switched based on pose)
-        planes[personIndex] = new PIXI.SimplePlane(primeTex, COLS, ROWS);
-        planes[personIndex].alpha = 1;
-        planes[personIndex].blendMode = MESH_BLEND_MODE;
+// Sidecar path of an overlay image (generated/Jesus_1.json for generated/Jesus_1.png)
+function getSidecarUrl(url) {
+    return url.replace(/\.[^./]+$/, ".json");
+}
 
-        // Add plane to container
-        planeContainers[personIndex].addChild(planes[personIndex]);
+// Rig of an overlay image from its sidecar over DEFAULT_TEXTURE_RIG.
+// Images without a sidecar, or with an invalid one, use the defaults.
+function createTextureRig(url, sidecar) {
+    if (!sidecar) return DEFAULT_TEXTURE_RIG;
+    const sidecarUrl = getSidecarUrl(url);
+
+    const rig = {
+        pivot: { ...DEFAULT_TEXTURE_RIG.pivot, ...sidecar.pivot },
+        scale: sidecar.scale || DEFAULT_TEXTURE_RIG.scale,
+        grid: { ...DEFAULT_TEXTURE_RIG.grid, ...sidecar.grid },
+        bindings: sidecar.bindings || DEFAULT_TEXTURE_RIG.bindings,
+        physics: sidecar.physics ? { ...MESH_PHYSICS, ...sidecar.physics } : null
+    };
 
-        // Center the plane in the container (local coordinates)
-        planes[personIndex].position.set(-primeTex.width/2, -primeTex.height/2);
+    // Default bindings only fit the default grid, and every binding must be a grid vertex
+    const vertexCount = rig.grid.cols * rig.grid.rows;
+    const gridChanged = rig.grid.cols !== COLS || rig.grid.rows !== ROWS;
+    if (rig.grid.cols < 2 || rig.grid.rows < 2 || (gridChanged && !sidecar.bindings) ||
+        Object.values(rig.bindings).some((index) => !Number.isInteger(index) || index < 0 || index >= vertexCount)) {
+        console.warn(`Ignoring rig ${sidecarUrl}: bindings don't fit the ${rig.grid.cols}x${rig.grid.rows} grid`);
+        return DEFAULT_TEXTURE_RIG;
+    }
 
-        // Cache position buffer for performance
-        planePosBufs[personIndex] = planes[personIndex].geometry.getBuffer('aVertexPosition');
+    // Bindings must name bodyPose keypoints (a typo would never be found in a pose)
+    const unknown = Object.keys(rig.bindings).filter((name) => !RIG_KEYPOINT_NAMES.includes(name));
+    if (unknown.length > 0) {
+        console.warn(`Ignoring rig ${sidecarUrl}: unknown keypoints ${unknown.join(', ')}`);
+        return DEFAULT_TEXTURE_RIG;
+    }
 
-        // Initialize mesh vertices in local texture coordinates
-        resetMeshLocal(planes[personIndex]);
+    console.log(`Loaded rig ${sidecarUrl}: ${rig.grid.cols}x${rig.grid.rows} grid, ${Object.keys(rig.bindings).length} bindings`);
+    return rig;
+}
+
+// Rig of a loaded overlay texture
+function getTextureRig(texture) {
+    return textureRigs.get(texture) || DEFAULT_TEXTURE_RIG;
+}
+
+// Destroy a person's plane, container and dissolve filter (recreated by ensurePlaneForPerson)
+function destroyPersonPlane(personId) {
+    if (planeContainers[personId]) {
+        planeContainers[personId].destroy({ children: true });
+        console.log(`Destroyed plane for person ${personId}`);
+    }
+    const life = overlayLifecycles[personId];
+    if (life && life.dissolveFilter) {
+        life.dissolveFilter.destroy();
+    }
+    destroyFilterStack(personFilterStacks[personId]);
+    delete personFilterStacks[personId];
+    releaseSilhouetteFilter(personId);
+    planes[personId] = null;
+    planeContainers[personId] = null;
+    planePosBufs[personId] = null;
+    planeBindPoses[personId] = {};
+    planePhysics[personId] = {};
+    delete planeTransitions[personId];
+    delete overlayLifecycles[personId];
+}
+
+// Whether a person's overlay is shown (intro or active), as opposed to fading or removed
+function isOverlayShown(personId) {
+    const life = overlayLifecycles[personId];
+    return !!life && (life.phase === "spawn" || life.phase === "active");
+}
 
-        console.log(`Created plane for person ${personIndex + 1}`);
+// Advance a person's overlay lifecycle and apply its intro/outro animation:
+// spawn (intro) -> active -> fading (outro) -> removed (hidden) -> destroyed after
+// OVERLAY_LIFECYCLE.removeAfterMs. Reversing mid-animation continues from the
+// current visibility instead of restarting.
+function updateOverlayLifecycle(personId, shown) {
+    const life = overlayLifecycles[personId];
+    if (!life) return;
+
+    const now = millis();
+    const settings = OVERLAY_LIFECYCLE;
+
+    if (shown && (life.phase === "fading" || life.phase === "removed")) {
+        const visible = life.phase === "fading" ? 1 - Math.min(1, (now - life.phaseStart) / settings.outroMs) : 0;
+        life.phase = "spawn";
+        life.phaseStart = now - visible * settings.introMs;
+    } else if (!shown && (life.phase === "spawn" || life.phase === "active")) {
+        const visible = life.phase === "spawn" ? Math.min(1, (now - life.phaseStart) / settings.introMs) : 1;
+        life.phase = "fading";
+        life.phaseStart = now - (1 - visible) * settings.outroMs;
     }
 
-    // Ensure lastVertexPositions[personIndex] exists
-    if (!lastVertexPositions[personIndex]) {
-        lastVertexPositions[personIndex] = {};
+    if (life.phase === "spawn" && now - life.phaseStart >= settings.introMs) {
+        life.phase = "active";
+        life.phaseStart = now;
+    } else if (life.phase === "fading" && now - life.phaseStart >= settings.outroMs) {
+        life.phase = "removed";
+        life.phaseStart = now;
+    } else if (life.phase === "removed" && now - life.phaseStart >= settings.removeAfterMs) {
+        destroyPersonPlane(personId);
+        return;
     }
 
-    // Initialize last vertex positions cache for the four tracked vertices if not already done
-    if (planePosBufs[personIndex]) {
-        const trackedVertices = [POSE_VERTEX_MAP.left_shoulder, POSE_VERTEX_MAP.right_shoulder,
-                                POSE_VERTEX_MAP.left_hip, POSE_VERTEX_MAP.right_hip];
+    // Visibility 0..1 and the animation that shows it
+    let visible = 1;
+    let animation = null;
+    if (life.phase === "spawn") {
+        visible = (now - life.phaseStart) / settings.introMs;
+        animation = settings.intro;
+    } else if (life.phase === "fading") {
+        visible = 1 - (now - life.phaseStart) / settings.outroMs;
+        animation = settings.outro;
+    } else if (life.phase === "removed") {
+        visible = 0;
+    }
+    applyOverlayAnimation(personId, animation, visible);
+}
 
-        trackedVertices.forEach(vertexIndex => {
-            if (!lastVertexPositions[personIndex][vertexIndex]) {
-                const positions = planePosBufs[personIndex].data;
-                const bufferIndex = vertexIndex * 2;
-                lastVertexPositions[personIndex][vertexIndex] = {
-                    x: positions[bufferIndex],
-                    y: positions[bufferIndex + 1]
-                };
-            }
+// Place a person's overlay at its last anchor with an animation at the given visibility
+function applyOverlayAnimation(personId, animation, visible) {
+    const life = overlayLifecycles[personId];
+    const eased = 1 - Math.pow(1 - visible, 3); // ease-out cubic
+
+    let alpha = 1;
+    let scale = 1;
+    let dissolve = 0;
+    if (animation === "fade") {
+        alpha = eased;
+    } else if (animation === "scaleUp") {
+        scale = smoothLerp(OVERLAY_LIFECYCLE.minScale, 1, eased);
+        alpha = Math.min(1, visible * 2);
+    } else if (animation === "dissolve") {
+        dissolve = 1 - visible;
+    }
+
+    planeContainers[personId].visible = visible > 0;
+    planeContainers[personId].position.set(life.x, life.y);
+    planeContainers[personId].scale.set(life.scale * scale);
+    planes[personId].alpha = life.alpha * alpha;
+    setOverlayDissolve(personId, dissolve);
+}
+
+// Apply (amount > 0) or remove the noise dissolve filter on a person's overlay, after
+// their filter stack (see applyPersonFilters)
+function setOverlayDissolve(personId, amount) {
+    const life = overlayLifecycles[personId];
+
+    if (amount > 0 && !life.dissolveFilter) {
+        life.dissolveFilter = new PIXI.Filter(undefined, DISSOLVE_FRAGMENT, {
+            uProgress: 0,
+            uNoiseScale: OVERLAY_LIFECYCLE.dissolveNoiseScale
         });
     }
+    if (life.dissolveFilter) {
+        life.dissolveFilter.uniforms.uProgress = amount;
+    }
+
+    applyPersonFilters(personId, amount > 0 ? life.dissolveFilter : null);
+}
+
+// Create the plane for a duet pair if it doesn't exist. Duet planes use the default grid and
+// DUET_VERTEX_MAP: texture rigs, transitions and variants only apply to single-person planes
+function ensureDuetPlane(key, texture) {
+    if (!duetPlanes[key]) {
+        const container = new PIXI.Container();
+        meshesContainer.addChild(container);
+
+        const plane = new PIXI.SimplePlane(texture, COLS, ROWS);
+        plane.position.set(-texture.width/2, -texture.height/2);
+        container.addChild(plane);
+        resetMeshLocal(plane);
+
+        duetPlanes[key] = {
+            container,
+            plane,
+            posBuf: plane.geometry.getBuffer('aVertexPosition')
+        };
+        console.log(`Created duet plane for pair ${key}`);
+    }
+    return duetPlanes[key];
+}
+
+// Position, scale and warp one plane per active duet, spanning both bodies
+function renderDuets(scaleX, scaleY) {
+    const activeKeys = {};
+
+    activeDuets.forEach((duet) => {
+        const texture = poseTextures[duet.name] && getOverlayTexture(getDuetOwner(duet.key), poseTextures[duet.name]);
+        if (!texture) return;
+        activeKeys[duet.key] = true;
+
+        const entry = ensureDuetPlane(duet.key, texture);
+        if (entry.plane.texture !== texture) {
+            entry.plane.texture = texture;
+            entry.plane.position.set(-texture.width/2, -texture.height/2);
+            resetMeshLocal(entry.plane);
+        }
+
+        const leftPose = personPoses[duet.left];
+        const rightPose = personPoses[duet.right];
+
+        // Silhouette mask of the duet definition over both bodies
+        const silhouette = updateSilhouetteFilter(getDuetOwner(duet.key), getSilhouetteMode(duet.definition), [leftPose, rightPose]);
+        const filtered = setContainerFilters(entry.container, silhouette ? [silhouette] : [], getOverlayBlendMode());
+        entry.plane.blendMode = filtered ? PIXI.BLEND_MODES.NORMAL : getOverlayBlendMode();
+
+        const outerLeftShoulder = getKeypoint(leftPose, "left_shoulder");
+        const outerRightShoulder = getKeypoint(rightPose, "right_shoulder");
+        const leftCenter = getTorsoCenter(leftPose);
+        const rightCenter = getTorsoCenter(rightPose);
+
+        // Centered between both torsos, as wide as the pair's outer shoulders (keypoints are already filtered)
+        const pairWidth = Math.abs(outerRightShoulder.x - outerLeftShoulder.x) * scaleX * DUET_WIDTH_FACTOR;
+        entry.container.position.set(((leftCenter.x + rightCenter.x) / 2) * scaleX, ((leftCenter.y + rightCenter.y) / 2) * scaleY);
+        entry.container.scale.set(pairWidth / texture.width);
+
+        // Outer grid columns follow the outer shoulders and hips of the pair, the rest of the grid falls off smoothly
+        const controls = [
+            { keypoint: outerLeftShoulder, rest: gridVertexRest(entry.plane, DUET_VERTEX_MAP.left_shoulder) },
+            { keypoint: outerRightShoulder, rest: gridVertexRest(entry.plane, DUET_VERTEX_MAP.right_shoulder) },
+            { keypoint: getKeypoint(leftPose, "left_hip"), rest: gridVertexRest(entry.plane, DUET_VERTEX_MAP.left_hip) },
+            { keypoint: getKeypoint(rightPose, "right_hip"), rest: gridVertexRest(entry.plane, DUET_VERTEX_MAP.right_hip) }
+        ];
+        warpPlaneVertices(entry.plane, entry.posBuf, controls, scaleX, scaleY);
+    });
+
+    // Remove planes of pairs that no longer pose together
+    for (const key in duetPlanes) {
+        if (!activeKeys[key]) {
+            duetPlanes[key].container.destroy({ children: true });
+            delete duetPlanes[key];
+            releaseOverlayAnimations(getDuetOwner(key));
+            releaseSilhouetteFilter(getDuetOwner(key));
+        }
+    }
 }
 
 // Create debug markers for specific vertices (14, 15, 26, 27)
@@ -597,9 +1484,9 @@ function createDebugMarkers() {
 function updateDebugMarkers() {
     // Find the first visible plane for debug markers
     let activePlane = null;
-    for (let i = 0; i < planes.length; i++) {
-        if (planes[i] && planes[i].visible) {
-            activePlane = planes[i];
+    for (const id in planes) {
+        if (planes[id] && isOverlayShown(id)) {
+            activePlane = planes[id];
             break;
         }
     }
@@ -633,67 +1520,91 @@ function smoothLerp(a, b, t) {
 }
 
 // Update PixiJS mesh vertices for a specific person based on body pose keypoints
-function updatePixiWarpFromPose(personIndex, pose, scaleX, scaleY) {
-    if (!planes[personIndex] || !pose) return;
-
-    // Extract required keypoints by name
-    const leftShoulder = pose.keypoints.find((k) => k.name === "left_shoulder");
-    const rightShoulder = pose.keypoints.find((k) => k.name === "right_shoulder");
-    const leftHip = pose.keypoints.find((k) => k.name === "left_hip");
-    const rightHip = pose.keypoints.find((k) => k.name === "right_hip");
-
-    // Confidence check: skip if any keypoint is missing or has low confidence
-    if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return;
-    if (leftShoulder.confidence < 0.3 || rightShoulder.confidence < 0.3 ||
-        leftHip.confidence < 0.3 || rightHip.confidence < 0.3) return;
-
-    // Get the position buffer for this person's plane
-    const posBuffer = planePosBufs[personIndex];
-    const positions = posBuffer.data;
-
-    // Define the four keypoints we're tracking
-    const keypoints = [
-        { keypoint: leftShoulder, vertexIndex: POSE_VERTEX_MAP.left_shoulder },
-        { keypoint: rightShoulder, vertexIndex: POSE_VERTEX_MAP.right_shoulder },
-        { keypoint: leftHip, vertexIndex: POSE_VERTEX_MAP.left_hip },
-        { keypoint: rightHip, vertexIndex: POSE_VERTEX_MAP.right_hip }
-    ];
+function updatePixiWarpFromPose(personId, pose, scaleX, scaleY) {
+    const plane = planes[personId];
+    if (!plane || !pose) return;
+
+    // Keypoints bound by the texture rig pin their grid vertices; a missing or low-confidence one
+    // (a hand out of frame) is left out and its vertex follows the others
+    const bindings = getTextureRig(plane.texture).bindings;
+    const controls = [];
+    for (const name in bindings) {
+        const keypoint = getKeypoint(pose, name);
+        if (!keypoint || keypoint.confidence < WARP_SETTINGS.minConfidence) continue;
+        controls.push({ keypoint, rest: gridVertexRest(plane, bindings[name]) });
+    }
 
-    // Update each vertex position
-    keypoints.forEach(({ keypoint, vertexIndex }) => {
-        // Convert from p5 space to screen space using scale factors
-        const sx = keypoint.x * scaleX;
-        const sy = keypoint.y * scaleY;
+    // Head and limbs rest where they were when the texture was applied (bound on first sight)
+    const bindPose = planeBindPoses[personId];
+    WARP_SETTINGS.keypoints.forEach((name) => {
+        if (name in bindings) return;
+        const keypoint = getKeypoint(pose, name);
+        if (!keypoint || keypoint.confidence < WARP_SETTINGS.minConfidence) return;
+        if (!bindPose[name]) {
+            const local = plane.toLocal(new PIXI.Point(keypoint.x * scaleX, keypoint.y * scaleY));
+            bindPose[name] = { x: local.x, y: local.y };
+        }
+        controls.push({ keypoint, rest: bindPose[name] });
+    });
 
-        // Convert from screen coordinates to plane local coordinates
-        const localPos = planes[personIndex].toLocal(new PIXI.Point(sx, sy));
+    const rig = getTextureRig(plane.texture);
+    warpPlaneVertices(plane, planePosBufs[personId], controls, scaleX, scaleY,
+                      rig.physics ? { state: planePhysics[personId], settings: rig.physics } : null);
+}
 
-        // Apply dead-zone and smoothing to reduce jitter
-        let targetX = localPos.x;
-        let targetY = localPos.y;
+// Rest position of a grid vertex in plane local coordinates
+function gridVertexRest(plane, vertexIndex) {
+    const cols = plane.geometry.segWidth;
+    const rows = plane.geometry.segHeight;
+    const col = vertexIndex % cols;
+    const row = Math.floor(vertexIndex / cols);
+    return { x: (col / (cols - 1)) * plane.texture.width, y: (row / (rows - 1)) * plane.texture.height };
+}
 
-        if (lastVertexPositions[personIndex][vertexIndex]) {
-            const last = lastVertexPositions[personIndex][vertexIndex];
+// Move every plane vertex by the inverse-distance weighted displacement of the control points
+// (a vertex at a control point's rest position lands exactly on its keypoint)
+// controls: [{ keypoint, rest: {x, y} }], rest in plane local coordinates
+// physics: optional { state, settings } to let unpinned vertices trail on springs
+function warpPlaneVertices(plane, posBuffer, controls, scaleX, scaleY, physics) {
+    const positions = posBuffer.data;
+    const pinned = [];
 
-            // Apply dead-zone for tiny changes
-            if (Math.abs(targetX - last.x) < DEAD_ZONE_PX) targetX = last.x;
-            if (Math.abs(targetY - last.y) < DEAD_ZONE_PX) targetY = last.y;
+    // Displacement of each control point from its rest position, in plane local coordinates
+    const displacements = controls.map(({ keypoint, rest }) => {
+        const localPos = plane.toLocal(new PIXI.Point(keypoint.x * scaleX, keypoint.y * scaleY));
+        return { rest, dx: localPos.x - rest.x, dy: localPos.y - rest.y };
+    });
 
-            // Smooth the movement to reduce jitter
-            targetX = smoothLerp(last.x, targetX, SMOOTHING_FACTOR);
-            targetY = smoothLerp(last.y, targetY, SMOOTHING_FACTOR);
+    for (let vertexIndex = 0; vertexIndex < plane.geometry.segWidth * plane.geometry.segHeight; vertexIndex++) {
+        const rest = gridVertexRest(plane, vertexIndex);
+        let sumWeight = 0, dx = 0, dy = 0;
+
+        for (const control of displacements) {
+            const distance = Math.hypot(rest.x - control.rest.x, rest.y - control.rest.y);
+            if (distance < 1e-3) {
+                // Pinned: follow this control point exactly
+                pinned[vertexIndex] = true;
+                sumWeight = 1;
+                dx = control.dx;
+                dy = control.dy;
+                break;
+            }
+            const weight = 1 / Math.pow(distance, WARP_SETTINGS.power);
+            sumWeight += weight;
+            dx += control.dx * weight;
+            dy += control.dy * weight;
         }
 
-        // Write smoothed position to buffer (each vertex has x,y coordinates)
         const bufferIndex = vertexIndex * 2;
-        positions[bufferIndex] = targetX;     // x coordinate
-        positions[bufferIndex + 1] = targetY; // y coordinate
+        positions[bufferIndex] = rest.x + (sumWeight > 0 ? dx / sumWeight : 0);
+        positions[bufferIndex + 1] = rest.y + (sumWeight > 0 ? dy / sumWeight : 0);
+    }
 
-        // Update cache for next frame
-        lastVertexPositions[personIndex][vertexIndex] = { x: targetX, y: targetY };
-    });
+    if (physics) {
+        simulateMeshPhysics(physics.state, physics.settings, plane, positions, pinned);
+    }
 
-    // Update the buffer once after all four assignments
+    // Update the buffer once after all assignments
     posBuffer.update();
 }
 
@@ -724,13 +1635,25 @@ function draw() {
         pop();
     }
 
-    // Resize per-person arrays to match current number of poses
-    resizeStateArrays(poses.length);
-    resizePixiPersonArrays(poses.length);
+    // Sync per-person state with the tracker (people briefly lost keep their state)
+    const trackIds = tracks.map((track) => track.id);
+    syncPersonStates(trackIds);
+    syncPixiPersons(trackIds);
+    personPoses = {};
+    participants.forEach((person) => { personPoses[person.id] = person.pose; });
+
+    // Show the interaction zone and the people outside of it (only if tracking is enabled)
+    if (showTracking) {
+        drawInteractionZone(scaleX, scaleY);
+        trackedPeople.forEach((person) => {
+            if (!(person.id in personPoses)) drawBystander(person.pose, scaleX, scaleY);
+        });
+    }
 
-    // Loop through detected poses to draw skeletons, keypoints, and analyze states
-    for (let i = 0; i < poses.length; i++) {
-        let pose = poses[i];
+    // Loop through participants to draw skeletons, keypoints, and analyze states
+    for (let n = 0; n < participants.length; n++) {
+        const id = participants[n].id;
+        let pose = participants[n].pose;
 
         // Draw skeleton connections for the pose (only if tracking is enabled)
         if (showTracking) {
@@ -749,14 +1672,24 @@ function draw() {
         }
 
         // Analyze the pose state of each person (Prime, Jesus, or Neutral) and get the state
-        personStates[i] = analyzeState(pose, i + 1);
+        personStates[id] = analyzeState(pose, id, n + 1);
+
+        // Emit pose enter/exit events, advance the hold-to-charge timer and feed the gesture layer
+        updatePoseEvents(id, pose);
+        updatePoseCharge(id, pose);
+        recordPoseHistory(id, pose);
+        detectGestures(id, pose);
 
         // Draw keypoints for each person (only if tracking is enabled)
         if (showTracking) {
             for (let j = 0; j < pose.keypoints.length; j++) {
                 let keypoint = pose.keypoints[j];
                 if (keypoint.confidence > 0.1) {
-                    fill(0, 255, 0); // Green color for keypoints
+                    if (keypoint.predicted) {
+                        fill(255, 200, 0); // Yellow for keypoints predicted through an occlusion
+                    } else {
+                        fill(0, 255, 0); // Green color for keypoints
+                    }
                     noStroke();
                     circle(keypoint.x * scaleX, keypoint.y * scaleY, 10 * min(scaleX, scaleY));
                 }
@@ -764,10 +1697,43 @@ function draw() {
         }
     }
 
+    // Drive the layer filter stacks from the participants
+    updateLayerFilters();
+
+    // Evaluate duet poses over pairs of people (members are rendered by the duet plane)
+    updateDuets();
+    renderDuets(scaleX, scaleY);
+
+    // Fade out the overlays of people who stopped participating or were briefly lost by the tracker
+    for (const id in planeContainers) {
+        if (!(id in personPoses)) {
+            updateOverlayLifecycle(id, false);
+            if (chargeRings[id]) chargeRings[id].visible = false;
+        }
+    }
+
     // Process each person's pose and update PixiJS planes immediately
-    for (let i = 0; i < poses.length; i++) {
-        let pose = poses[i];
-        let poseType = personStates[i]; // Get the analyzed pose state
+    for (let n = 0; n < participants.length; n++) {
+        const id = participants[n].id;
+        let pose = participants[n].pose;
+        let poseType = personActivePoses[id].name; // Stable (hysteresis-filtered) pose
+        let poseAlpha = poseScoreToAlpha(personActivePoses[id].score);
+
+        // A charging pose keeps its overlay while the charge rewinds after release
+        const charge = personCharges[id];
+        if (charge.pose && (poseType === charge.pose || poseType === "Neutral")) {
+            poseType = charge.pose;
+            poseAlpha = charge.alpha;
+        }
+
+        // Actions (e.g. a recognized gesture) can force an overlay for a while
+        const override = personOverlayOverrides[id];
+        if (override && millis() < override.until) {
+            poseType = override.pose;
+            poseAlpha = 1;
+        } else {
+            personOverlayOverrides[id] = null;
+        }
 
         // Extract keypoints for confidence check
         const leftShoulder = pose.keypoints.find((k) => k.name === "left_shoulder");
@@ -780,24 +1746,19 @@ function draw() {
                                  leftShoulder.confidence >= 0.3 && rightShoulder.confidence >= 0.3 &&
                                  leftHip.confidence >= 0.3 && rightHip.confidence >= 0.3;
 
-        if (poseType === "Neutral" || !hasValidKeypoints) {
-            // Hide plane for neutral pose or low confidence
-            if (planeContainers[i]) {
-                planeContainers[i].visible = false;
-            }
+        // Texture comes from the current charge stage or the pose definition (missing if it failed to load),
+        // as the person's own instance when it is animated
+        const poseTexture = getChargeStageTexture(id, poseType) || getPoseTexture(id, poseType);
+        const newTexture = poseTexture && getOverlayTexture(id, poseTexture);
+
+        if (poseType === "Neutral" || !hasValidKeypoints || !newTexture || personDuets[id]) {
+            // Fade out the plane for neutral pose, low confidence, or while part of a duet
+            updateOverlayLifecycle(id, false);
         } else {
-            // Show plane and set appropriate texture
-            ensurePlaneForPerson(i);
-
-            // Switch texture based on pose type (no random selection)
-            const newTexture = (poseType === "Prime") ? primeTex : jesusTex;
-            if (planes[i].texture !== newTexture) {
-                planes[i].texture = newTexture;
-                resetMeshLocal(planes[i]); // Reset mesh for new texture
-            }
+            // Show plane and switch to the pose texture (re-rigged when it changes)
+            ensurePlaneForPerson(id, newTexture);
 
-            planeContainers[i].visible = true;
-            planePoseType[i] = poseType;
+            planePoseType[id] = poseType;
 
             // Compute per-person anchor and scale each frame (torso offset positioning)
             const cx = ((leftShoulder.x + rightShoulder.x) / 2) * scaleX;
@@ -806,56 +1767,38 @@ function draw() {
             const cyNavel = cyShoulder + TORSO_OFFSET_FACTOR * (cyHip - cyShoulder);
             const shoulderWidth = Math.abs(rightShoulder.x - leftShoulder.x) * scaleX;
 
-            // Use the same factor as stickers (5.5) to set the plane width in screen pixels
-            const targetWidth = shoulderWidth * 5.5;
-            const scaleFactor = targetWidth / planes[i].texture.width;
-
-            // Apply smoothing and dead-zone to reduce jitter
-            const rawX = cx;
-            const rawY = cyNavel;
-            const rawScale = scaleFactor;
-
-            // Dead-zone for position
-            const prevX = anchorPos[i].x;
-            const prevY = anchorPos[i].y;
-            const dx = Math.abs(rawX - prevX);
-            const dy = Math.abs(rawY - prevY);
-            const targetX = (dx < DEAD_ZONE_PX) ? prevX : rawX;
-            const targetY = (dy < DEAD_ZONE_PX) ? prevY : rawY;
-
-            // Dead-zone for scale
-            const prevS = anchorScale[i];
-            const ds = Math.abs(rawScale - prevS);
-            const targetS = (ds < SCALE_DEAD) ? prevS : rawScale;
-
-            // Smoothing (lerp) for position/scale
-            const smoothX = smoothLerp(prevX, targetX, ANCHOR_SMOOTH);
-            const smoothY = smoothLerp(prevY, targetY, ANCHOR_SMOOTH);
-            const smoothS = smoothLerp(prevS, targetS, SCALE_SMOOTH);
-
-            // Write back caches
-            anchorPos[i].x = smoothX;
-            anchorPos[i].y = smoothY;
-            anchorScale[i] = smoothS;
-
-            // Apply smoothed transform to the container (anchored at navel)
-            planeContainers[i].position.set(smoothX, smoothY);
-            planeContainers[i].scale.set(smoothS);
+            // Plane width in screen pixels from the texture rig (5.5 shoulder widths by default, as stickers)
+            const targetWidth = shoulderWidth * getTextureRig(planes[id].texture).scale;
+            const scaleFactor = targetWidth / planes[id].texture.width;
+
+            // Apply the transform to the container (anchored at navel, keypoints are already
+            // filtered), pulsing on a climax
+            planeContainers[id].position.set(cx, cyNavel);
+            planeContainers[id].scale.set(scaleFactor * getChargePulse(id));
 
             // Update mesh warp for this person
-            updatePixiWarpFromPose(i, pose, scaleX, scaleY);
+            updatePixiWarpFromPose(id, pose, scaleX, scaleY);
+
+            // Remember the anchor for the outro, then apply the intro/active animation on top
+            const life = overlayLifecycles[id];
+            life.x = cx;
+            life.y = cyNavel;
+            life.scale = scaleFactor * getChargePulse(id);
+            life.alpha = poseAlpha; // Fades toward POSE_MIN_ALPHA as the pose weakens
+            updateOverlayLifecycle(id, true);
         }
+
+        // Progress ring above the head while a pose charges or rewinds
+        updateChargeRing(id, pose, scaleX, scaleY, isOverlayShown(id));
     }
 
     // Process per-person state changes and debounce (for p5 stickers)
-    for (let i = 0; i < poses.length; i++) {
-        processPersonStateChange(i);
-    }
+    participants.forEach((person) => processPersonStateChange(person.id));
 
     // Draw per-person stickers anchored to shoulders (only if no Pixi planes are visible)
     let anyPixiPlaneVisible = false;
-    for (let i = 0; i < planeContainers.length; i++) {
-        if (planeContainers[i] && planeContainers[i].visible) {
+    for (const id in planeContainers) {
+        if (planeContainers[id] && planeContainers[id].visible) {
             anyPixiPlaneVisible = true;
             break;
         }
@@ -864,155 +1807,3505 @@ function draw() {
     // Only draw p5 stickers if no Pixi planes are visible (avoid double imagery)
     // Stickers are currently disabled via USE_P5_STICKERS = false
     if (USE_P5_STICKERS && !anyPixiPlaneVisible) {
-        for (let i = 0; i < poses.length; i++) {
-            drawPersonSticker(i, poses[i], scaleX, scaleY);
-        }
+        participants.forEach((person) => drawPersonSticker(person.id, person.pose, scaleX, scaleY));
     }
 
+    // Advance texture transitions and animated overlay textures
+    updateTextureTransitions();
+    updateOverlayAnimations();
+
+    // Record trainer samples from the closest person
+    updateTrainer();
+
     // Update debug markers for PixiJS mesh vertices
     updateDebugMarkers();
 }
 
 /*
 ===========================================================
-POSE ANALYSIS
-This section analyzes the body pose data to determine whether
-a participant is in "Prime" pose (hands on head) or "Jesus" pose (open arms).
-It uses keypoints like wrists, elbows, shoulders, and nose to calculate the posture
-and displays the result on the canvas.
+POSE REGISTRY
+This section loads the pose definitions listed in
+poses/index.json. Each definition describes a pose as data
+(keypoint relations, angles, tolerances, minimum confidences)
+plus the texture to show, so a new landmark pose only needs
+a new definition file.
 ===========================================================
 */
 
-// Analyze the player's pose to determine if they are "Prime" (hands on head) or "Jesus" (open arms)
-function analyzeState(pose, personNumber) {
-    // Extract keypoints for hands, shoulders, and head
-    let leftWrist = pose.keypoints.find((k) => k.name === "left_wrist");
-    let rightWrist = pose.keypoints.find((k) => k.name === "right_wrist");
-    let leftElbow = pose.keypoints.find((k) => k.name === "left_elbow");
-    let rightElbow = pose.keypoints.find((k) => k.name === "right_elbow");
-    let leftShoulder = pose.keypoints.find((k) => k.name === "left_shoulder");
-    let rightShoulder = pose.keypoints.find((k) => k.name === "right_shoulder");
-    let nose = pose.keypoints.find((k) => k.name === "nose");
+// Load the manifest and every pose/duet definition it lists (order = priority)
+async function loadPoseRegistry() {
+    const manifest = await fetch(POSE_MANIFEST_URL).then((res) => res.json());
 
-    // Handle missing keypoints
-    if (!leftWrist || !rightWrist || !leftElbow || !rightElbow || !leftShoulder || !rightShoulder || !nose) {
-        return "Neutral";
-    }
+    poseRegistry = await loadPoseDefinitionFiles(manifest.poses || []);
+    duetRegistry = await loadPoseDefinitionFiles(manifest.duets || []);
 
-    // Check confidence levels
-    if (leftWrist.confidence < 0.3 || rightWrist.confidence < 0.3 || nose.confidence < 0.3) {
-        return "Neutral";
-    }
+    // Legacy p5 sticker images, one per pose
+    poseRegistry.forEach((def) => {
+        poseImages[def.name] = loadImage(def.texture);
+    });
 
-    let state = "Neutral";
+    renderPoseInstructions();
+    renderTrainerOptions();
 
-    // Check for Prime pose: both hands on top of head and close together
-    let handsAboveHead = leftWrist.y < nose.y - 20 && rightWrist.y < nose.y - 20;
-    let handsCloseTogether = Math.abs(leftWrist.x - rightWrist.x) < 100; // Adjust threshold as needed
+    console.log(`Pose registry loaded: ${poseRegistry.map((def) => def.name).join(', ')}` +
+                ` (duets: ${duetRegistry.map((def) => def.name).join(', ') || 'none'})`);
+}
 
-    if (handsAboveHead && handsCloseTogether) {
-        state = "Prime";
+// Fetch definition files relative to the manifest, skipping invalid ones
+async function loadPoseDefinitionFiles(files) {
+    const baseUrl = POSE_MANIFEST_URL.slice(0, POSE_MANIFEST_URL.lastIndexOf('/') + 1);
+
+    const defs = [];
+    for (const file of files) {
+        try {
+            const def = await fetch(baseUrl + file).then((res) => res.json());
+            if (!def.name || !Array.isArray(def.rules)) {
+                console.warn(`Skipping pose definition ${file}: missing name or rules`);
+                continue;
+            }
+            defs.push(def);
+        } catch (error) {
+            console.error(`Error loading pose definition ${file}:`, error);
+        }
     }
-    // Check for Jesus pose: arms extended horizontally (open arms)
-    else {
-        // Calculate distances for arm extension check
-        let leftShoulderToWrist = Math.sqrt(Math.pow(leftWrist.x - leftShoulder.x, 2) + Math.pow(leftWrist.y - leftShoulder.y, 2));
-        let leftShoulderToElbow = Math.sqrt(Math.pow(leftElbow.x - leftShoulder.x, 2) + Math.pow(leftElbow.y - leftShoulder.y, 2));
-        let rightShoulderToWrist = Math.sqrt(Math.pow(rightWrist.x - rightShoulder.x, 2) + Math.pow(rightWrist.y - rightShoulder.y, 2));
-        let rightShoulderToElbow = Math.sqrt(Math.pow(rightElbow.x - rightShoulder.x, 2) + Math.pow(rightElbow.y - rightShoulder.y, 2));
-
-        // Arms are extended if wrist is further from shoulder than elbow
-        let leftArmExtended = leftShoulderToWrist > leftShoulderToElbow + 20;
-        let rightArmExtended = rightShoulderToWrist > rightShoulderToElbow + 20;
+    return defs;
+}
 
-        // Check if arms are spread horizontally (wrist is to the side of shoulder)
-        let leftArmSpread = leftWrist.x < leftShoulder.x - 30; // Left wrist is to the left of left shoulder
-        let rightArmSpread = rightWrist.x > rightShoulder.x + 30; // Right wrist is to the right of right shoulder
+// Build the pose instruction cards from the registry
+function renderPoseInstructions() {
+    const row = document.getElementById('pose-cards');
+    if (!row) return;
+
+    row.innerHTML = '';
+    poseRegistry.concat(duetRegistry).forEach((def) => {
+        const col = document.createElement('div');
+        col.className = 'col-md-4 text-center mb-3';
+
+        const card = document.createElement('div');
+        card.className = 'pose-card';
+
+        if (def.icon) {
+            const icon = document.createElement('img');
+            icon.src = def.icon;
+            icon.alt = `${def.label || def.name} pose`;
+            icon.className = 'pose-icon';
+            card.appendChild(icon);
+        }
 
-        // Check if arms are roughly horizontal (elbow and wrist at similar height)
-        let leftArmHorizontal = Math.abs(leftElbow.y - leftWrist.y) < 40;
-        let rightArmHorizontal = Math.abs(rightElbow.y - rightWrist.y) < 40;
+        const title = document.createElement('h5');
+        title.textContent = def.label || def.name;
+        card.appendChild(title);
 
-        if (leftArmExtended && rightArmExtended && leftArmSpread && rightArmSpread && leftArmHorizontal && rightArmHorizontal) {
-            state = "Jesus";
+        if (def.description) {
+            const description = document.createElement('p');
+            description.className = 'small';
+            description.textContent = def.description;
+            card.appendChild(description);
         }
-    }
 
-    // Display the state on the canvas
-    fill(255);
-    let scaleX = width / originalWidth;
-    let scaleY = height / originalHeight;
-    textSize(20 * min(scaleX, scaleY));
-    textAlign(LEFT);
-    text(`Person ${personNumber}: ${state}`, 10 * scaleX, height - 20 * personNumber * scaleY);
+        col.appendChild(card);
+        row.appendChild(col);
+    });
+}
 
-    return state;
+// Find a keypoint on an ml5 pose by name
+function getKeypoint(pose, name) {
+    return pose.keypoints.find((k) => k.name === name);
 }
 
-/*
-===========================================================
-MULTI-PERSON STATE MANAGEMENT
-This section handles per-person state arrays, debouncing,
-and image selection for multiple people.
-===========================================================
-*/
+// Euclidean distance between two keypoints
+function keypointDistance(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+// Inner angle in degrees at joint b formed by a-b-c
+function jointAngle(a, b, c) {
+    const v1x = a.x - b.x, v1y = a.y - b.y;
+    const v2x = c.x - b.x, v2y = c.y - b.y;
+    const len = Math.sqrt(v1x * v1x + v1y * v1y) * Math.sqrt(v2x * v2x + v2y * v2y);
+    if (len === 0) return 0;
+    const cos = Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / len));
+    return Math.acos(cos) * 180 / Math.PI;
+}
+
+// Per-person body scale in pixels: shoulder width, or torso length converted to
+// shoulder widths when that is larger (shoulders collapse when turning sideways).
+// Returns null when the shoulders are not visible enough to measure; points predicted
+// through an occlusion never count (see isDetectedKeypoint).
+function getBodyScale(pose) {
+    const leftShoulder = getKeypoint(pose, "left_shoulder");
+    const rightShoulder = getKeypoint(pose, "right_shoulder");
+    if (!isDetectedKeypoint(leftShoulder, BODY_SCALE_MIN_CONFIDENCE) ||
+        !isDetectedKeypoint(rightShoulder, BODY_SCALE_MIN_CONFIDENCE)) return null;
+
+    let scale = keypointDistance(leftShoulder, rightShoulder);
+
+    const leftHip = getKeypoint(pose, "left_hip");
+    const rightHip = getKeypoint(pose, "right_hip");
+    if (isDetectedKeypoint(leftHip, BODY_SCALE_MIN_CONFIDENCE) && isDetectedKeypoint(rightHip, BODY_SCALE_MIN_CONFIDENCE)) {
+        const shoulderMid = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
+        const hipMid = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+        scale = Math.max(scale, keypointDistance(shoulderMid, hipMid) * SHOULDER_TO_TORSO_RATIO);
+    }
+
+    return scale > 0 ? scale : null;
+}
+
+// Angle in degrees (0..90) between segment a-b and the horizontal
+function segmentTilt(a, b) {
+    const angle = Math.abs(Math.atan2(b.y - a.y, b.x - a.x)) * 180 / Math.PI;
+    return angle > 90 ? 180 - angle : angle;
+}
+
+// Soft threshold: 0.5 when slack is 0 (exactly at the threshold), easing to 1 at
+// +softness and to 0 at -softness. Zero softness gives a hard 0/1 step.
+function softThreshold(slack, softness) {
+    if (!(softness > 0)) return slack > 0 ? 1 : 0;
+    const t = Math.max(0, Math.min(1, (slack + softness) / (2 * softness)));
+    return t * t * (3 - 2 * t);
+}
+
+// Score a value against the optional min/max of a rule (same unit as value)
+function rangeScore(value, rule, softness) {
+    let score = 1;
+    if (rule.min !== undefined) score = Math.min(score, softThreshold(value - rule.min, softness));
+    if (rule.max !== undefined) score = Math.min(score, softThreshold(rule.max - value, softness));
+    return score;
+}
+
+// Collect every keypoint name referenced by a rule
+function ruleKeypointNames(rule) {
+    return [].concat(rule.a || [], rule.b || [], rule.joint || []);
+}
+
+// Score a single rule of a pose definition from 0 to 1, where > 0.5 means the
+// rule passes. Lengths (margin, min, max, softness) are in body units (shoulder
+// widths, see getBodyScale); angles are in degrees. "softness" is how far past
+// the threshold the score takes to reach 0 or 1.
+// Supported types:
+//   above / below / leftOf / rightOf     a vs b by more than "margin"
+//   horizontalDistance / verticalDistance / distance   |a - b| within min/max
+//   longerThan   segment a ([from, to]) longer than segment b plus "margin"
+//   angle        inner angle at joint[1] within min/max degrees
+//   tilt         angle of segment a-b from the horizontal within min/max degrees
+function scorePoseRule(rule, pose, bodyScale) {
+    // Every referenced keypoint must exist and be detected (not predicted through an occlusion)
+    const points = {};
+    for (const name of ruleKeypointNames(rule)) {
+        const k = getKeypoint(pose, name);
+        if (!k || k.predicted) return 0;
+        points[name] = k;
+    }
+
+    const margin = rule.margin || 0;
+    const softness = rule.softness !== undefined ? rule.softness : RULE_SOFTNESS;
+    const softnessDeg = rule.softness !== undefined ? rule.softness : RULE_SOFTNESS_DEG;
+    const a = points[rule.a];
+    const b = points[rule.b];
+
+    switch (rule.type) {
+        case "above":
+            return softThreshold((b.y - a.y) / bodyScale - margin, softness);
+        case "below":
+            return softThreshold((a.y - b.y) / bodyScale - margin, softness);
+        case "leftOf":
+            return softThreshold((b.x - a.x) / bodyScale - margin, softness);
+        case "rightOf":
+            return softThreshold((a.x - b.x) / bodyScale - margin, softness);
+        case "horizontalDistance":
+            return rangeScore(Math.abs(a.x - b.x) / bodyScale, rule, softness);
+        case "verticalDistance":
+            return rangeScore(Math.abs(a.y - b.y) / bodyScale, rule, softness);
+        case "distance":
+            return rangeScore(keypointDistance(a, b) / bodyScale, rule, softness);
+        case "longerThan": {
+            const lengthA = keypointDistance(points[rule.a[0]], points[rule.a[1]]);
+            const lengthB = keypointDistance(points[rule.b[0]], points[rule.b[1]]);
+            return softThreshold((lengthA - lengthB) / bodyScale - margin, softness);
+        }
+        case "angle": {
+            const [j0, j1, j2] = rule.joint.map((name) => points[name]);
+            return rangeScore(jointAngle(j0, j1, j2), rule, softnessDeg);
+        }
+        case "tilt":
+            return rangeScore(segmentTilt(a, b), rule, softnessDeg);
+        default:
+            console.warn(`Unknown pose rule type: ${rule.type}`);
+            return 0;
+    }
+}
+
+// Whether a single rule passes (score above one half)
+function evaluatePoseRule(rule, pose, bodyScale) {
+    return scorePoseRule(rule, pose, bodyScale) > 0.5;
+}
+
+// Score a pose against a definition's rules: confidence gates are hard (0 when
+// any fails), then the weakest rule sets the score (fuzzy AND)
+function scoreRuleDefinition(def, pose, bodyScale) {
+    const minConfidence = def.minConfidence || {};
+    for (const name in minConfidence) {
+        const k = getKeypoint(pose, name);
+        if (!isDetectedKeypoint(k, minConfidence[name])) return 0;
+    }
+
+    let score = 1;
+    for (const rule of def.rules) {
+        score = Math.min(score, scorePoseRule(rule, pose, bodyScale));
+        if (score === 0) break;
+    }
+    return score;
+}
+
+/*
+===========================================================
+POSE ANALYSIS
+This section scores each participant against every pose
+definition (0..1, above 0.5 = match) and turns the scores
+into a stable active pose with enter/exit hysteresis and a
+minimum hold time. The raw state is the first matching
+definition in registry order, "Neutral" otherwise.
+===========================================================
+*/
+
+// Score every pose definition for a pose: { name: 0..1 } (all 0 without a body scale)
+function scorePoses(pose) {
+    const scores = {};
+    poseRegistry.forEach((def) => { scores[def.name] = 0; });
+
+    // All rules are relative to this person's size, so distance to the camera doesn't matter
+    const bodyScale = getBodyScale(pose);
+    if (!bodyScale) return scores;
+
+    // One kNN vote per frame, shared by every definition that uses the model
+    const modelResult = poseModel.samples.length > 0
+        ? classifyWithModel(normalizePoseFeatures(pose, bodyScale))
+        : null;
+
+    poseRegistry.forEach((def) => {
+        scores[def.name] = usesPoseModel(def)
+            ? scoreModelDefinition(def, modelResult)
+            : scoreRuleDefinition(def, pose, bodyScale);
+    });
+    return scores;
+}
+
+// Analyze the player's pose: scores every definition, updates the person's active
+// pose, and returns the raw state (first definition scoring above 0.5, rules or
+// trained model depending on its "classifier"). labelRow places the on-canvas label.
+function analyzeState(pose, personId, labelRow) {
+    const scores = scorePoses(pose);
+
+    let state = "Neutral";
+    for (const def of poseRegistry) {
+        if (scores[def.name] > 0.5) {
+            state = def.name;
+            break;
+        }
+    }
+
+    // Feed the hysteresis that drives the overlays
+    personPoseScores[personId] = scores;
+    updatePoseHysteresis(personId);
+
+    // Display the stable pose (drives overlays) and its score on the canvas
+    const active = personActivePoses[personId];
+    const label = active && active.name !== "Neutral"
+        ? `${active.name} (${(scores[active.name] || 0).toFixed(2)})`
+        : state;
+    fill(255);
+    let scaleX = width / originalWidth;
+    let scaleY = height / originalHeight;
+    textSize(20 * min(scaleX, scaleY));
+    textAlign(LEFT);
+    text(`Person ${personId}: ${label}`, 10 * scaleX, height - 20 * labelRow * scaleY);
+
+    return state;
+}
+
+// Update a person's active pose from this frame's scores:
+// - the active pose is released once its score drops below POSE_EXIT_SCORE,
+//   but not before it has been shown for POSE_MIN_HOLD_MS
+// - a new pose becomes active after scoring at least POSE_ENTER_SCORE for
+//   POSE_ENTER_DELAY_MS (highest score wins)
+// The smoothed score of the active pose is kept for effects such as opacity.
+function updatePoseHysteresis(personId) {
+    const active = personActivePoses[personId];
+    const scores = personPoseScores[personId];
+    const now = millis();
+
+    if (active.name !== "Neutral") {
+        const score = scores[active.name] || 0;
+        active.score = smoothLerp(active.score, score, POSE_SCORE_SMOOTH);
+        if (score < POSE_EXIT_SCORE && now - active.since >= POSE_MIN_HOLD_MS) {
+            active.name = "Neutral";
+            active.since = now;
+            active.score = 0;
+        }
+    }
+
+    if (active.name === "Neutral") {
+        // Best candidate above the enter threshold
+        let candidate = null;
+        for (const name in scores) {
+            if (scores[name] >= POSE_ENTER_SCORE && (candidate === null || scores[name] > scores[candidate])) {
+                candidate = name;
+            }
+        }
+
+        if (candidate !== active.pendingName) {
+            active.pendingName = candidate;
+            active.pendingSince = now;
+        }
+        if (candidate && now - active.pendingSince >= POSE_ENTER_DELAY_MS) {
+            active.name = candidate;
+            active.since = now;
+            active.score = scores[candidate];
+            active.pendingName = null;
+        }
+    }
+}
+
+// Overlay opacity for an active pose score: POSE_MIN_ALPHA at the exit
+// threshold, fully opaque at the enter threshold and above
+function poseScoreToAlpha(score) {
+    const t = Math.max(0, Math.min(1, (score - POSE_EXIT_SCORE) / (POSE_ENTER_SCORE - POSE_EXIT_SCORE)));
+    return smoothLerp(POSE_MIN_ALPHA, 1, t);
+}
+
+/*
+===========================================================
+ANIMATED TEXTURES
+This section loads animated overlay sources: sprite sheets
+described by an "animation" block in their sidecar, animated
+GIF/WebP images decoded into a sprite sheet, and videos.
+Frame animations play per person (and per duet), so two
+people showing the same artwork each play it from their own
+start; a video is shared by everyone showing it.
+===========================================================
+*/
+
+const ANIMATION_PLAYBACKS = ["loop", "pingPong", "once"];
+
+// Load an animated overlay source, or null for a still image
+async function loadAnimatedTexture(url, animation) {
+    const type = url.split('.').pop().toLowerCase();
+    const settings = getAnimationSettings(url, animation || {});
+
+    if (ANIMATED_TEXTURE.videoTypes.includes(type)) {
+        return loadVideoTexture(url, settings);
+    }
+    if (ANIMATED_TEXTURE.decodedTypes.includes(type) && 'ImageDecoder' in window) {
+        return loadDecodedTexture(url, type, settings);
+    }
+    if (animation) {
+        return loadSpriteSheetTexture(url, animation, settings);
+    }
+    return null;
+}
+
+// Playback settings from a sidecar's "animation" block over ANIMATED_TEXTURE
+function getAnimationSettings(url, animation) {
+    const settings = {
+        fps: animation.fps || ANIMATED_TEXTURE.fps,
+        playback: animation.playback || ANIMATED_TEXTURE.playback,
+        playOnEnter: 'playOnEnter' in animation ? !!animation.playOnEnter : ANIMATED_TEXTURE.playOnEnter
+    };
+    if (!ANIMATION_PLAYBACKS.includes(settings.playback)) {
+        console.warn(`Unknown playback "${settings.playback}" for ${url}, using loop`);
+        settings.playback = "loop";
+    }
+    return settings;
+}
+
+// Sprite sheet: "frames" (default all) equal frames in "columns" x "rows", row by row
+async function loadSpriteSheetTexture(url, animation, settings) {
+    const sheet = await PIXI.Assets.load(url);
+    const columns = animation.columns || 1;
+    const rows = animation.rows || 1;
+    const count = Math.min(animation.frames || columns * rows, columns * rows);
+    const frames = getSheetFrames(count, columns, Math.floor(sheet.width / columns), Math.floor(sheet.height / rows));
+    return registerFrameAnimation(url, sheet.baseTexture, frames, frames.map(() => 1000 / settings.fps), settings);
+}
+
+// Animated GIF/WebP: every frame is decoded (ImageDecoder) into one sprite sheet with the
+// file's frame durations. Single-frame images return null and load as still images.
+async function loadDecodedTexture(url, type, settings) {
+    const data = await fetch(url).then((res) => res.arrayBuffer());
+    const decoder = new ImageDecoder({ data, type: `image/${type}` });
+    await decoder.completed;
+    const count = decoder.tracks.selectedTrack.frameCount;
+    if (count < 2) {
+        decoder.close();
+        return null;
+    }
+
+    const columns = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / columns);
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    let frames = null;
+    const durations = [];
+
+    for (let i = 0; i < count; i++) {
+        const { image } = await decoder.decode({ frameIndex: i });
+        if (!frames) {
+            // Shrink the frames when the sheet would be larger than ANIMATED_TEXTURE.maxSheetSize
+            const fit = Math.min(1, ANIMATED_TEXTURE.maxSheetSize / (columns * image.displayWidth),
+                                    ANIMATED_TEXTURE.maxSheetSize / (rows * image.displayHeight));
+            const frameWidth = Math.floor(image.displayWidth * fit);
+            const frameHeight = Math.floor(image.displayHeight * fit);
+            canvas.width = columns * frameWidth;
+            canvas.height = rows * frameHeight;
+            frames = getSheetFrames(count, columns, frameWidth, frameHeight);
+        }
+        context.drawImage(image, frames[i].x, frames[i].y, frames[i].width, frames[i].height);
+        durations.push(image.duration ? image.duration / 1000 : 1000 / settings.fps); // microseconds -> ms
+        image.close();
+    }
+    decoder.close();
+
+    return registerFrameAnimation(url, PIXI.BaseTexture.from(canvas), frames, durations, settings);
+}
+
+// Frame rectangles of a sprite sheet, row by row
+function getSheetFrames(count, columns, frameWidth, frameHeight) {
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        frames.push(new PIXI.Rectangle((i % columns) * frameWidth, Math.floor(i / columns) * frameHeight, frameWidth, frameHeight));
+    }
+    return frames;
+}
+
+// Register a frame animation. Its texture (the first frame) is what poses and rigs refer to;
+// planes show a per-person instance of it (see getOverlayTexture).
+function registerFrameAnimation(url, baseTexture, frames, durations, settings) {
+    const texture = new PIXI.Texture(baseTexture, frames[0]);
+    animatedSources.set(texture, {
+        baseTexture,
+        frames,
+        durations,
+        totalMs: durations.reduce((sum, ms) => sum + ms, 0),
+        settings
+    });
+    console.log(`Loaded animation ${url}: ${frames.length} frames (${settings.playback})`);
+    return texture;
+}
+
+// Video: muted and inline so it may autoplay, paused while no plane shows it
+async function loadVideoTexture(url, settings) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.loop = settings.playback === "loop";
+    video.preload = 'auto';
+    video.src = url;
+    await new Promise((resolve, reject) => {
+        video.addEventListener('canplay', resolve, { once: true });
+        video.addEventListener('error', () => reject(new Error(`Could not load video ${url}`)), { once: true });
+    });
+
+    const texture = PIXI.Texture.from(video, { resourceOptions: { autoPlay: false } });
+    // Frames seeked to while paused (ping-pong going backward) are uploaded too
+    video.addEventListener('seeked', () => texture.baseTexture.update());
+    animatedSources.set(texture, { video, settings, start: 0 });
+
+    console.log(`Loaded video ${url}: ${video.videoWidth}x${video.videoHeight}, ${video.duration.toFixed(1)}s (${settings.playback})`);
+    return texture;
+}
+
+// Animation clock of a person's (or duet's) overlay: animations with playOnEnter restart
+// the next time they are shown after the pose becomes active
+function setupOverlayAnimations() {
+    onPoseEvent("poseenter", (detail) => {
+        getOverlayAnimations(detail.personId).enteredAt = millis();
+    });
+    onPoseEvent("duetenter", (detail) => {
+        getOverlayAnimations(getDuetOwner(detail.key)).enteredAt = millis();
+    });
+}
+
+// Animation state of a person ID or duet owner
+function getOverlayAnimations(owner) {
+    if (!overlayAnimations[owner]) {
+        overlayAnimations[owner] = { enteredAt: 0, instances: new Map() };
+    }
+    return overlayAnimations[owner];
+}
+
+// Owner key of a duet pair's overlay state (animations, silhouette mask)
+function getDuetOwner(key) {
+    return `duet:${key}`;
+}
+
+// Texture a plane shows for a loaded overlay texture: the owner's own instance of a frame
+// animation (with its rig), the shared texture of a video, or the still texture itself
+function getOverlayTexture(owner, texture) {
+    const source = animatedSources.get(texture);
+    if (!source) return texture;
+
+    const animations = getOverlayAnimations(owner);
+    const restart = source.settings.playOnEnter;
+
+    if (source.video) {
+        if (restart && source.start < animations.enteredAt) {
+            source.start = millis();
+            source.video.currentTime = 0;
+        }
+        return texture;
+    }
+
+    let instance = animations.instances.get(texture);
+    if (!instance) {
+        instance = { texture: new PIXI.Texture(source.baseTexture, source.frames[0]), source, start: millis(), frameIndex: 0 };
+        textureRigs.set(instance.texture, getTextureRig(texture));
+        animations.instances.set(texture, instance);
+    } else if (restart && instance.start < animations.enteredAt) {
+        instance.start = millis();
+    }
+    return instance.texture;
+}
+
+// Destroy the animation instances of a person or duet that is gone
+function releaseOverlayAnimations(owner) {
+    const animations = overlayAnimations[owner];
+    if (!animations) return;
+
+    animations.instances.forEach((instance) => {
+        textureRigs.delete(instance.texture);
+        instance.texture.destroy();
+    });
+    delete overlayAnimations[owner];
+}
+
+// Advance the animations on screen (also while overlays fade out) and pause videos nobody shows
+function updateOverlayAnimations() {
+    const now = millis();
+    const shownVideos = new Set();
+
+    for (const id in planes) {
+        if (planes[id] && planeContainers[id].visible) {
+            advanceOverlayAnimation(id, planes[id].texture, now, shownVideos);
+        }
+    }
+    for (const key in duetPlanes) {
+        advanceOverlayAnimation(getDuetOwner(key), duetPlanes[key].plane.texture, now, shownVideos);
+    }
+
+    animatedSources.forEach((source) => {
+        if (source.video && !shownVideos.has(source) && !source.video.paused) {
+            source.video.pause();
+        }
+    });
+}
+
+// Show the current frame of the animation on a plane, if it shows one
+function advanceOverlayAnimation(owner, texture, now, shownVideos) {
+    const source = animatedSources.get(texture);
+    if (source && source.video) {
+        shownVideos.add(source);
+        updateVideoPlayback(source, now);
+        return;
+    }
+
+    const animations = overlayAnimations[owner];
+    if (!animations) return;
+    animations.instances.forEach((instance) => {
+        if (instance.texture !== texture) return;
+        const frameIndex = getAnimationFrameIndex(instance.source, now - instance.start);
+        if (frameIndex !== instance.frameIndex) {
+            instance.frameIndex = frameIndex;
+            instance.texture.frame = instance.source.frames[frameIndex];
+        }
+    });
+}
+
+// Frame of a frame animation after elapsed ms, by its playback mode
+function getAnimationFrameIndex(source, elapsed) {
+    const { durations, totalMs } = source;
+    const last = durations.length - 1;
+    const playback = source.settings.playback;
+
+    let t = elapsed; // "once" runs past the end and holds the last frame
+    if (playback === "loop" || (playback === "pingPong" && last < 2)) {
+        t = elapsed % totalMs;
+    } else if (playback === "pingPong") {
+        // Forward through every frame, then back through the inner ones (the ends show once per turn)
+        t = elapsed % (2 * totalMs - durations[0] - durations[last]);
+        if (t >= totalMs) {
+            t -= totalMs;
+            let index = last - 1;
+            while (index > 1 && t >= durations[index]) {
+                t -= durations[index];
+                index--;
+            }
+            return index;
+        }
+    }
+
+    let index = 0;
+    while (index < last && t >= durations[index]) {
+        t -= durations[index];
+        index++;
+    }
+    return index;
+}
+
+// Keep a shown video playing by its settings. Ping-pong plays forward natively and steps
+// backward by seeking, which is smoothest with short clips.
+function updateVideoPlayback(source, now) {
+    const video = source.video;
+    if (source.settings.playback !== "pingPong") {
+        if (video.paused && !video.ended) playVideo(video);
+        return;
+    }
+
+    const duration = video.duration * 1000;
+    const t = (now - source.start) % (2 * duration);
+    if (t < duration) {
+        if (video.paused) {
+            video.currentTime = t / 1000;
+            playVideo(video);
+        }
+    } else {
+        if (!video.paused) video.pause();
+        if (!video.seeking) video.currentTime = (2 * duration - t) / 1000;
+    }
+}
+
+// Start a video, logging when the browser refuses
+function playVideo(video) {
+    video.play().catch((error) => {
+        console.warn(`Could not play ${video.src}:`, error);
+    });
+}
+
+/*
+===========================================================
+FILTER STACKS
+This section applies the LAYER_FILTERS effect stacks to the
+background, the overlays, each person's overlay and the
+foreground. Parameters are fixed numbers or driven by time
+and pose data (arm spread, movement speed, pose score,
+charge, number of participants), smoothed frame to frame.
+===========================================================
+*/
+
+// Filter types with their default parameters; "strength" names the parameter that switches the
+// filter off at 0, "padding" grows the filter area by it (effects that move pixels outward)
+const FILTER_TYPES = {
+    displacement: { fragment: DISPLACEMENT_FRAGMENT, params: { strength: 6, scale: 80, speed: 0.3 }, strength: "strength", padding: true },
+    sketch: { fragment: SKETCH_FRAGMENT, params: { amount: 1, lineWidth: 1, hatch: 6 }, strength: "amount" },
+    halftone: { fragment: HALFTONE_FRAGMENT, params: { amount: 1, size: 8, angle: 45 }, strength: "amount" },
+    chromaticAberration: { fragment: CHROMATIC_ABERRATION_FRAGMENT, params: { offset: 3, angle: 0 }, strength: "offset", padding: true },
+    colorGrade: { fragment: COLOR_GRADE_FRAGMENT, params: { amount: 1, exposure: 0, contrast: 1, saturation: 1, tint: "#ffffff" }, strength: "amount" }
+};
+
+// Inputs a parameter can be driven by
+const FILTER_INPUTS = ["time", "armSpread", "speed", "score", "charge", "participants"];
+
+// Create the layer stacks (the person stack is created with each person's plane),
+// replacing the previous scene's
+function setupLayerFilters() {
+    ["background", "meshes", "foreground"].forEach((layer) => {
+        destroyFilterStack(layerFilterStacks[layer]);
+        layerFilterStacks[layer] = createFilterStack(getLayerFilters(layer));
+    });
+}
+
+// Stack definition of a layer: the active scene's "filters" entry for it, else LAYER_FILTERS
+function getLayerFilters(layer) {
+    const filters = activeScene && activeScene.definition.filters;
+    return (filters && filters[layer]) || LAYER_FILTERS[layer];
+}
+
+// Build a filter per entry of a stack definition, skipping unknown types
+function createFilterStack(entries) {
+    const stack = [];
+    (entries || []).forEach((entry) => {
+        const type = FILTER_TYPES[entry.type];
+        if (!type) {
+            console.warn(`Unknown filter type "${entry.type}"`);
+            return;
+        }
+
+        const params = { ...type.params };
+        const uniforms = { uTime: 0 };
+        for (const name in entry) {
+            if (name !== "type") params[name] = entry[name];
+        }
+        for (const name in params) {
+            const value = params[name];
+            if (typeof value === "string") {
+                uniforms[getFilterUniform(name)] = new Float32Array(new PIXI.Color(value).toRgbArray());
+            } else if (typeof value === "number") {
+                uniforms[getFilterUniform(name)] = value;
+            } else {
+                if (!FILTER_INPUTS.includes(value.from)) {
+                    console.warn(`Unknown filter input "${value.from}" for ${entry.type}.${name}`);
+                }
+                uniforms[getFilterUniform(name)] = value.to ? value.to[0] : 0;
+            }
+        }
+
+        stack.push({ type, params, filter: new PIXI.Filter(undefined, type.fragment, uniforms), values: {} });
+    });
+    return stack;
+}
+
+// Shader uniform of a filter parameter ("strength" -> "uStrength")
+function getFilterUniform(name) {
+    return "u" + name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Destroy the filters of a stack
+function destroyFilterStack(stack) {
+    (stack || []).forEach((entry) => entry.filter.destroy());
+}
+
+// Update the driven parameters of a stack, and switch off filters whose strength is 0
+function updateFilterStack(stack, inputs) {
+    stack.forEach((entry) => {
+        const uniforms = entry.filter.uniforms;
+        for (const name in entry.params) {
+            const param = entry.params[name];
+            if (typeof param !== "object") continue;
+
+            const target = getDrivenValue(param, inputs);
+            const previous = entry.values[name];
+            entry.values[name] = previous === undefined ? target : smoothLerp(previous, target, param.smooth || FILTER_DRIVER_SMOOTH);
+            uniforms[getFilterUniform(name)] = entry.values[name];
+        }
+        uniforms.uTime = inputs.time;
+
+        const strength = getFilterValue(entry, entry.type.strength);
+        entry.filter.enabled = Math.abs(strength) > 1e-3;
+        if (entry.type.padding) {
+            entry.filter.padding = Math.ceil(Math.abs(strength));
+        }
+    });
+}
+
+// Current value of a filter parameter
+function getFilterValue(entry, name) {
+    return name in entry.values ? entry.values[name] : entry.params[name];
+}
+
+// Map an input onto a driven parameter: "range" of the input onto "to" (both default [0, 1]),
+// clamped. With "wave" the input first becomes a 0..1 cosine wave of that period (e.g. seconds of time).
+function getDrivenValue(driver, inputs) {
+    let value = inputs[driver.from] || 0;
+    if (driver.wave) {
+        value = 0.5 - 0.5 * Math.cos(2 * Math.PI * value / driver.wave);
+    }
+    const range = driver.range || [0, 1];
+    const to = driver.to || [0, 1];
+    const t = Math.max(0, Math.min(1, (value - range[0]) / (range[1] - range[0])));
+    return smoothLerp(to[0], to[1], t);
+}
+
+// Filter inputs for a group of people; each pose input is the largest among them (0 for nobody)
+function getFilterInputs(personIds) {
+    const inputs = { time: millis() / 1000, armSpread: 0, speed: 0, score: 0, charge: 0, participants: participants.length };
+
+    personIds.forEach((id) => {
+        const pose = personPoses[id];
+        if (!pose) return;
+
+        const bodyScale = getBodyScale(pose);
+        if (bodyScale) {
+            // Wrist distance and mean keypoint speed in body units (per second)
+            const leftWrist = getKeypoint(pose, "left_wrist");
+            const rightWrist = getKeypoint(pose, "right_wrist");
+            if (leftWrist && rightWrist && leftWrist.confidence >= FILTER_INPUT_MIN_CONFIDENCE &&
+                rightWrist.confidence >= FILTER_INPUT_MIN_CONFIDENCE) {
+                inputs.armSpread = Math.max(inputs.armSpread, keypointDistance(leftWrist, rightWrist) / bodyScale);
+            }
+            inputs.speed = Math.max(inputs.speed, getPoseSpeed(pose) / bodyScale);
+        }
+        if (personActivePoses[id] && personActivePoses[id].name !== "Neutral") {
+            inputs.score = Math.max(inputs.score, personActivePoses[id].score);
+        }
+        if (personCharges[id]) {
+            inputs.charge = Math.max(inputs.charge, personCharges[id].value);
+        }
+    });
+    return inputs;
+}
+
+// Mean speed of a pose's visible keypoints in video px per second
+function getPoseSpeed(pose) {
+    let sum = 0;
+    let count = 0;
+    pose.keypoints.forEach((k) => {
+        const velocity = getKeypointVelocity(pose, k.name);
+        if (!velocity || k.confidence < FILTER_INPUT_MIN_CONFIDENCE) return;
+        sum += Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        count++;
+    });
+    return count > 0 ? sum / count : 0;
+}
+
+// Update the layer stacks from all participants and put them on their containers
+function updateLayerFilters() {
+    if (!pixiApp || !layerFilterStacks.meshes) return;
+
+    const inputs = getFilterInputs(participants.map((person) => person.id));
+    const containers = { background: bgContainer, meshes: meshesContainer, foreground: fgContainer };
+    for (const layer in layerFilterStacks) {
+        const stack = layerFilterStacks[layer];
+        updateFilterStack(stack, inputs);
+        const blendMode = layer === "meshes" ? getMeshBlendMode() : PIXI.BLEND_MODES.NORMAL;
+        setContainerFilters(containers[layer], stack.map((entry) => entry.filter), blendMode);
+    }
+}
+
+// Update a person's stack and put it on their overlay, followed by their silhouette mask and
+// the outro dissolve while it runs
+function applyPersonFilters(personId, dissolveFilter) {
+    const stack = personFilterStacks[personId] || [];
+    updateFilterStack(stack, getFilterInputs([personId]));
+
+    const filters = stack.map((entry) => entry.filter);
+    const silhouette = updateSilhouetteFilter(personId, getSilhouetteMode(findPoseDefinition(planePoseType[personId])),
+                                              [personPoses[personId]]);
+    if (silhouette) filters.push(silhouette);
+    if (dissolveFilter) filters.push(dissolveFilter);
+
+    const filtered = setContainerFilters(planeContainers[personId], filters, getOverlayBlendMode());
+    planes[personId].blendMode = filtered ? PIXI.BLEND_MODES.NORMAL : getOverlayBlendMode();
+}
+
+// Put the enabled filters on a container. The last one composites with blendMode (the container's
+// contents draw normally into the filters); returns whether any filter is applied.
+function setContainerFilters(container, filters, blendMode) {
+    const enabled = filters.filter((filter) => filter.enabled);
+    enabled.forEach((filter, i) => {
+        filter.blendMode = i === enabled.length - 1 ? blendMode : PIXI.BLEND_MODES.NORMAL;
+    });
+
+    const current = container.filters || [];
+    if (current.length !== enabled.length || enabled.some((filter, i) => filter !== current[i])) {
+        container.filters = enabled.length > 0 ? enabled : null;
+    }
+    return enabled.length > 0;
+}
+
+// Blend mode of overlays: the scene's (MESH_BLEND_MODE by default), or normal inside a filtered
+// meshes layer, whose last filter blends the overlays as a whole instead
+function getOverlayBlendMode() {
+    const stack = layerFilterStacks.meshes || [];
+    return stack.some((entry) => entry.filter.enabled) ? PIXI.BLEND_MODES.NORMAL : getMeshBlendMode();
+}
+
+// Blend mode of the active scene's overlays
+function getMeshBlendMode() {
+    return activeScene ? activeScene.blendMode : MESH_BLEND_MODE;
+}
+
+/*
+===========================================================
+SILHOUETTE MASKS
+This section runs ml5 bodySegmentation when a pose or duet
+definition asks for a "silhouette" mode, and masks overlays
+with the segmented people: "behind" cuts the person out of
+their own overlay so they stand in front of it, "inside"
+paints it on their silhouette only, and "outside" keeps it
+off everyone, as if they stood inside the landscape.
+===========================================================
+*/
+
+const SILHOUETTE_MODES = ["over", "behind", "inside", "outside"];
+
+// Start body segmentation on the camera if any definition uses a silhouette mode
+function setupSilhouetteMasks() {
+    const modes = poseRegistry.concat(duetRegistry).map((def) => getSilhouetteMode(def));
+    if (modes.every((mode) => mode === "over")) return;
+
+    silhouetteCanvas = document.createElement('canvas');
+    silhouetteCanvas.width = originalWidth;
+    silhouetteCanvas.height = originalHeight;
+
+    // Mirrored like bodyPose, so the mask lines up with the keypoints and the displayed video.
+    // ml5's "background" mask type masks the background out, leaving the people opaque.
+    bodySegmentation = ml5.bodySegmentation(SILHOUETTE_MASK.model, { maskType: "background", flipHorizontal: true }, () => {
+        bodySegmentation.detectStart(video, gotSegmentation);
+        console.log(`Body segmentation started (${SILHOUETTE_MASK.model})`);
+    });
+}
+
+// Copy the latest person mask into the silhouette texture
+function gotSegmentation(result) {
+    const context = silhouetteCanvas.getContext('2d');
+    if (result.imageData) {
+        silhouetteCanvas.width = result.imageData.width;
+        silhouetteCanvas.height = result.imageData.height;
+        context.putImageData(result.imageData, 0, 0);
+    } else if (result.mask) {
+        context.clearRect(0, 0, silhouetteCanvas.width, silhouetteCanvas.height);
+        context.drawImage(result.mask.canvas || result.mask, 0, 0, silhouetteCanvas.width, silhouetteCanvas.height);
+    }
+
+    if (!silhouetteTexture) {
+        silhouetteTexture = PIXI.Texture.from(silhouetteCanvas);
+    } else {
+        silhouetteTexture.baseTexture.update();
+    }
+}
+
+// Silhouette mode of a pose or duet definition
+function getSilhouetteMode(def) {
+    const mode = (def && def.silhouette) || SILHOUETTE_MASK.defaultMode;
+    if (!SILHOUETTE_MODES.includes(mode)) {
+        console.warn(`Unknown silhouette mode "${mode}"${def ? ` for ${def.name}` : ""}, using over`);
+        if (def) def.silhouette = "over"; // warn once
+        return "over";
+    }
+    return mode;
+}
+
+// Update an overlay's silhouette mask for its mode and the poses of its people, or null when
+// the overlay isn't masked (mode "over", or no mask segmented yet). Without a pose this frame
+// (an overlay fading out) the last body box is kept.
+function updateSilhouetteFilter(owner, mode, poses) {
+    if (mode === "over" || !silhouetteTexture) return null;
+
+    if (!silhouetteFilters[owner]) {
+        silhouetteFilters[owner] = new PIXI.Filter(undefined, SILHOUETTE_FRAGMENT, {
+            uMask: silhouetteTexture,
+            uScreenSize: new Float32Array([1, 1]),
+            uInside: 0,
+            uFeather: SILHOUETTE_MASK.feather,
+            uBox: new Float32Array([0, 0, 1, 1]),
+            uUseBox: 0
+        });
+    }
+    const uniforms = silhouetteFilters[owner].uniforms;
+    uniforms.uScreenSize[0] = pixiApp.screen.width;
+    uniforms.uScreenSize[1] = pixiApp.screen.height;
+    uniforms.uInside = mode === "inside" ? 1 : 0;
+    uniforms.uUseBox = mode === "outside" ? 0 : 1; // "outside" keeps clear of every person
+
+    const box = getSilhouetteBox(poses.filter((pose) => pose));
+    if (box) uniforms.uBox.set(box);
+    return silhouetteFilters[owner];
+}
+
+// Box around the people's keypoints, grown by SILHOUETTE_MASK.boxPadding body units,
+// in screen UVs [x0, y0, x1, y1] (the video fills the canvas), or null without poses
+function getSilhouetteBox(poses) {
+    let box = null;
+    poses.forEach((pose) => {
+        const padding = (getBodyScale(pose) || 0) * SILHOUETTE_MASK.boxPadding;
+        pose.keypoints.forEach((k) => {
+            if (k.confidence < OCCLUSION_MIN_CONFIDENCE) return;
+            if (!box) box = [Infinity, Infinity, -Infinity, -Infinity];
+            box[0] = Math.min(box[0], (k.x - padding) / originalWidth);
+            box[1] = Math.min(box[1], (k.y - padding) / originalHeight);
+            box[2] = Math.max(box[2], (k.x + padding) / originalWidth);
+            box[3] = Math.max(box[3], (k.y + padding) / originalHeight);
+        });
+    });
+    return box;
+}
+
+// Destroy the silhouette mask of a person or duet that is gone
+function releaseSilhouetteFilter(owner) {
+    if (!silhouetteFilters[owner]) return;
+    silhouetteFilters[owner].destroy();
+    delete silhouetteFilters[owner];
+}
+
+/*
+===========================================================
+PARTICLES
+This section runs every particle in the app from emitter
+data: the scene's foreground emitters (water lilies, stones,
+grass, flowers...) and the bursts fired by actions. Each
+emitter has its textures, spawn area, velocity, sine drift,
+gravity and spin, scale and alpha curves over the lifetime,
+blend mode and particle cap.
+===========================================================
+*/
+
+// Load an emitter definition (over its "preset" and PARTICLE_DEFAULTS) with its textures
+async function loadParticleEmitter(name, def) {
+    const preset = def.preset ? PARTICLE_EMITTERS[def.preset] : null;
+    if (def.preset && !preset) console.warn(`Unknown particle preset "${def.preset}" for ${name}`);
+
+    const settings = { ...PARTICLE_DEFAULTS, ...preset, ...def };
+    settings.sine = { ...PARTICLE_DEFAULTS.sine, ...(preset && preset.sine), ...def.sine };
+    settings.blendMode = getSceneBlendMode(settings.blendMode, PIXI.BLEND_MODES.NORMAL);
+
+    const paths = def.texture ? [def.texture] : settings.textures;
+    const textures = [];
+    for (const path of paths) {
+        textures.push(await PIXI.Assets.load(path));
+    }
+    return { name, settings, textures, accumulator: 0, live: 0 };
+}
+
+// Emitter for burst actions: the active scene's emitter of that name, else a PARTICLE_EMITTERS preset
+async function getBurstEmitter(name) {
+    const sceneEmitter = sceneEmitters.find((emitter) => emitter.name === name);
+    if (sceneEmitter) return sceneEmitter;
+
+    if (!burstEmitters[name]) {
+        if (!PARTICLE_EMITTERS[name]) {
+            console.warn(`Unknown particle emitter "${name}", using burst`);
+            return getBurstEmitter("burst");
+        }
+        burstEmitters[name] = loadParticleEmitter(name, { preset: name });
+    }
+    return burstEmitters[name];
+}
+
+// Emit a number of particles at once, at a screen position (or the emitter's spawn area)
+function emitParticles(emitter, count, position, textures) {
+    for (let n = 0; n < count; n++) {
+        spawnParticle(emitter, position, textures);
+    }
+}
+
+// Spawn one particle of an emitter (at a screen position, or in its spawn area)
+function spawnParticle(emitter, position, textures) {
+    const settings = emitter.settings;
+    const container = settings.layer === "fx" ? fxContainer : fgContainer;
+    if (!container || emitter.live >= settings.maxCount) return;
+
+    const pool = textures || (emitter.textures.length > 0 ? emitter.textures : [defaultParticleTexture]);
+    const texture = pool[Math.floor(Math.random() * pool.length)];
+    if (!texture) return;
+
+    const spr = new PIXI.Sprite(texture);
+    spr.anchor.set(0.5);
+    spr.blendMode = settings.blendMode;
+
+    // Random scale (uniform), based on size
+    const size = settings.size * (1 + settings.sizeJitter * (Math.random() * 2 - 1));
+    spr.scale.set(size * sampleParticleCurve(settings.scaleCurve, 0));
+    spr.alpha = sampleParticleCurve(settings.alphaCurve, 0);
+
+    const pos = position || getParticleSpawnPosition(settings.spawn, spr.height * 0.5, settings.sine.amp);
+    spr.position.set(pos.x, pos.y);
+
+    // Direction in radians: left or right, any, or the emitter's angle with some spread
+    let angle;
+    if (settings.direction === "horizontal") {
+        angle = Math.random() < 0.5 ? Math.PI : 0;
+    } else if (settings.direction === "radial") {
+        angle = Math.random() * Math.PI * 2;
+    } else {
+        angle = (settings.direction + (Math.random() * 2 - 1) * settings.spread) * Math.PI / 180;
+    }
+    const speed = pickParticleRange(settings.speed);
+
+    // Per-particle state
+    spr.__p = {
+        emitter,
+        age: 0,
+        life: pickParticleRange(settings.lifetime),
+        size,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed - settings.lift,
+        spin: (Math.random() * 2 - 1) * settings.spin,
+        phase: Math.random() * Math.PI * 2, // sine seed
+        sineAmp: settings.sine.amp * (0.7 + Math.random() * 0.6),
+        sineFreq: settings.sine.freq * (0.8 + Math.random() * 0.4),
+        baseY: spr.y
+    };
+
+    container.addChild(spr);
+    particles.push(spr);
+    emitter.live++;
+}
+
+// Screen position in a spawn area (fractions of the canvas):
+// - { "type": "band", "top"? }: anywhere across the bottom band (FG_FRACTION), never above its top
+// - { "type": "rect", "x", "y", "width", "height" }: anywhere in the rectangle
+// - { "type": "point", "x", "y" }: at the point (bursts spawn at their person instead)
+function getParticleSpawnPosition(spawn, half, amp) {
+    const w = pixiApp.renderer.width;
+    const h = pixiApp.renderer.height;
+
+    if (spawn.type === "rect") {
+        return { x: (spawn.x + Math.random() * spawn.width) * w, y: (spawn.y + Math.random() * spawn.height) * h };
+    }
+    if (spawn.type === "point") {
+        return { x: (spawn.x !== undefined ? spawn.x : 0.5) * w, y: (spawn.y !== undefined ? spawn.y : 0.5) * h };
+    }
+
+    // Band: below the top by the sprite's half height and sine amplitude, with downward slack below the screen
+    const yBandTop = getParticleBandTop(spawn);
+    return { x: Math.random() * w, y: yBandTop + half + amp + Math.random() * (h - yBandTop + amp) };
+}
+
+// Top of a band spawn area in pixels
+function getParticleBandTop(spawn) {
+    const top = spawn.top !== undefined ? spawn.top : 1 - FG_FRACTION;
+    return Math.floor(pixiApp.renderer.height * top);
+}
+
+// Screen positions of a bodyPart spawn area ({ "type": "bodyPart", "keypoint" }): that keypoint
+// on every participant where it is confident
+function getBodyPartSpawnPoints(spawn) {
+    const scaleX = width / originalWidth;
+    const scaleY = height / originalHeight;
+    const points = [];
+    participants.forEach((person) => {
+        const k = getKeypoint(person.pose, spawn.keypoint);
+        if (k && k.confidence >= OCCLUSION_MIN_CONFIDENCE) points.push({ x: k.x * scaleX, y: k.y * scaleY });
+    });
+    return points;
+}
+
+// Value of a [min, max] range picked at random (a number is fixed)
+function pickParticleRange(range) {
+    return Array.isArray(range) ? smoothLerp(range[0], range[1], Math.random()) : range;
+}
+
+// Value of a curve at t (0..1 over the lifetime), linear between evenly spaced keys
+function sampleParticleCurve(curve, t) {
+    if (!Array.isArray(curve)) return curve;
+    if (curve.length === 1) return curve[0];
+
+    const x = t * (curve.length - 1);
+    const i = Math.min(Math.floor(x), curve.length - 2);
+    return smoothLerp(curve[i], curve[i + 1], x - i);
+}
+
+// Spawn from the scene's emitters at their rates, then move, fade and recycle every particle
+function updateParticles(dt) {
+    if (particlesPaused) return;
+
+    // Spawn at rate (particles/sec), per participant for body parts
+    sceneEmitters.forEach((emitter) => {
+        const settings = emitter.settings;
+        if (!settings.rate) return;
+
+        const points = settings.spawn.type === "bodyPart" ? getBodyPartSpawnPoints(settings.spawn) : null;
+        emitter.accumulator += dt * settings.rate * (points ? points.length : 1);
+        while (emitter.accumulator >= 1) {
+            spawnParticle(emitter, points ? points[Math.floor(Math.random() * points.length)] : null);
+            emitter.accumulator -= 1;
+        }
+    });
+
+    // Update & recycle
+    const w = pixiApp.renderer.width;
+    for (let i = particles.length - 1; i >= 0; i--) {
+        const spr = particles[i];
+        const p = spr.__p;
+        const settings = p.emitter.settings;
+
+        p.age += dt;
+
+        // Velocity and gravity, horizontal wrap
+        p.vy += settings.gravity * dt;
+        spr.x += p.vx * dt;
+        p.baseY += p.vy * dt;
+        if (settings.wrap) {
+            if (spr.x < -spr.width) spr.x = w + spr.width * 0.5;
+            if (spr.x > w + spr.width) spr.x = -spr.width * 0.5;
+        }
+
+        // Gentle sine drift around the path
+        p.phase += p.sineFreq * dt;
+        spr.y = p.baseY + Math.sin(p.phase) * p.sineAmp;
+
+        // Band particles never rise above the band - downward movement is allowed
+        if (settings.spawn.type === "band") {
+            const topLimit = getParticleBandTop(settings.spawn) + spr.height * 0.5;
+            if (spr.y < topLimit) spr.y = topLimit;
+        }
+
+        spr.rotation += p.spin * dt;
+
+        // Lifetime curves
+        const t = Math.min(p.age / p.life, 1);
+        spr.alpha = sampleParticleCurve(settings.alphaCurve, t);
+        spr.scale.set(p.size * sampleParticleCurve(settings.scaleCurve, t));
+
+        // Recycle when dead
+        if (p.age >= p.life) {
+            spr.destroy();
+            particles.splice(i, 1);
+            p.emitter.live--;
+        }
+    }
+}
+
+/*
+===========================================================
+SCENES
+This section loads the scenes listed in scenes/index.json.
+A scene bundles the background image, the foreground
+emitters, the overlay texture of each pose, the overlay
+blend mode and the layer filter stacks. Switching scenes
+crossfades the background, lets the old foreground particles
+live out their lifetime, and blends each shown overlay into
+its new texture with the texture transition.
+===========================================================
+*/
+
+// Load the scene definitions listed in the manifest (the built-in DEFAULT_SCENE without one)
+async function loadSceneRegistry() {
+    try {
+        const manifest = await fetch(SCENE_MANIFEST_URL).then((res) => res.json());
+        const baseUrl = SCENE_MANIFEST_URL.slice(0, SCENE_MANIFEST_URL.lastIndexOf('/') + 1);
+        for (const file of manifest.scenes || []) {
+            try {
+                const def = await fetch(baseUrl + file).then((res) => res.json());
+                if (!def.name) {
+                    console.warn(`Skipping scene ${file}: missing name`);
+                    continue;
+                }
+                sceneRegistry.push(def);
+            } catch (error) {
+                console.error(`Error loading scene ${file}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error loading scene manifest:', error);
+    }
+
+    if (sceneRegistry.length === 0) sceneRegistry = [DEFAULT_SCENE];
+    console.log(`Scenes loaded: ${sceneRegistry.map((def) => def.name).join(', ')}`);
+}
+
+// Find a scene definition by name
+function findSceneDefinition(name) {
+    return sceneRegistry.find((def) => def.name === name) || null;
+}
+
+// Name of the scene after the active one in manifest order
+function getNextSceneName() {
+    const index = activeScene ? sceneRegistry.indexOf(activeScene.definition) : -1;
+    return sceneRegistry[(index + 1) % sceneRegistry.length].name;
+}
+
+// Load a scene's textures once (background, foreground, overlays), ready to switch to
+function loadScene(name) {
+    if (!loadedScenes[name]) {
+        loadedScenes[name] = loadSceneAssets(name).catch((error) => {
+            delete loadedScenes[name]; // retry on the next switch
+            throw error;
+        });
+    }
+    return loadedScenes[name];
+}
+
+// Load the textures of a scene definition
+async function loadSceneAssets(name) {
+    const definition = findSceneDefinition(name);
+    if (!definition) throw new Error(`Unknown scene "${name}"`);
+
+    const scene = {
+        definition,
+        overlays: {},
+        poseTextures: {},
+        poseVariantTextures: {},
+        poseStageTextures: {},
+        background: null,
+        emitters: [],
+        blendMode: getSceneBlendMode(definition.blendMode, MESH_BLEND_MODE)
+    };
+
+    // Overlay textures of every pose and duet, with the pose variants and charge stages. A texture that
+    // fails to load leaves its pose without an overlay, the other poses and layers still load
+    for (const def of poseRegistry.concat(duetRegistry)) {
+        const overlay = getSceneOverlay(definition, def);
+        scene.overlays[def.name] = overlay;
+        try {
+            scene.poseTextures[def.name] = await loadOverlayTexture(overlay.texture);
+        } catch (error) {
+            console.error(`Error loading texture ${overlay.texture} for ${def.name}:`, error);
+        }
+    }
+    for (const def of poseRegistry) {
+        const overlay = scene.overlays[def.name];
+        if (overlay.variants) {
+            scene.poseVariantTextures[def.name] = await loadPoseVariants(def, overlay.variants);
+        }
+        if (overlay.stages) {
+            scene.poseStageTextures[def.name] = [];
+            for (const stage of overlay.stages) {
+                try {
+                    scene.poseStageTextures[def.name].push(await loadOverlayTexture(stage));
+                } catch (error) {
+                    console.error(`Error loading stage ${stage} for ${def.name}:`, error);
+                }
+            }
+        }
+    }
+
+    // Background layers (see BACKGROUND LAYERS)
+    scene.background = await loadSceneBackground(definition.background);
+
+    // Particle emitters, each starting from its "preset" (lilies by default, see PARTICLES)
+    for (const [i, entry] of (definition.foreground || []).entries()) {
+        try {
+            scene.emitters.push(await loadParticleEmitter(entry.name || `${name}-${i}`, { preset: "lilies", ...entry }));
+        } catch (error) {
+            console.error(`Error loading foreground emitter ${i} of ${name}:`, error);
+        }
+    }
+
+    console.log(`Scene ${name} loaded`);
+    return scene;
+}
+
+// Overlay textures of a pose or duet in a scene: the scene's "overlays" entry for it (a texture
+// path, or { "texture", "variants", "stages" }), else the definition's own texture, variants and stages
+function getSceneOverlay(definition, def) {
+    const entry = definition && definition.overlays && definition.overlays[def.name];
+    if (!entry) {
+        return { texture: def.texture, variants: def.variants || null, stages: (def.charge && def.charge.stages) || null };
+    }
+    if (typeof entry === "string") return { texture: entry, variants: null, stages: null };
+    return { texture: entry.texture || def.texture, variants: entry.variants || null, stages: entry.stages || null };
+}
+
+// Overlay textures of a pose or duet in the active scene
+function getPoseOverlay(def) {
+    return (activeScene && activeScene.overlays[def.name]) || getSceneOverlay(null, def);
+}
+
+// PIXI blend mode by name ("MULTIPLY", "SCREEN", ...), or the fallback when not set
+function getSceneBlendMode(name, fallback) {
+    if (name === undefined) return fallback;
+    if (!(name in PIXI.BLEND_MODES)) {
+        console.warn(`Unknown blend mode "${name}"`);
+        return fallback;
+    }
+    return PIXI.BLEND_MODES[name];
+}
+
+// Load a scene and make it the active one, crossfading the background over durationMs
+async function switchScene(name, durationMs = SCENE_TRANSITION_MS) {
+    const request = ++sceneRequest;
+    const scene = await loadScene(name);
+    if (request !== sceneRequest || scene === activeScene) return;
+
+    activeScene = scene;
+
+    // Overlay textures: shown overlays pick up their new texture on the next frame
+    poseTextures = scene.poseTextures;
+    poseVariantTextures = scene.poseVariantTextures;
+    poseStageTextures = scene.poseStageTextures;
+    for (const id in personVariants) {
+        personVariants[id] = { current: {}, previous: {} };
+    }
+    variantCursors = {};
+
+    // Particles: new emitters, the old particles live out their lifetime
+    sceneEmitters = scene.emitters.map((emitter) => ({ ...emitter, accumulator: 0, live: 0 }));
+    const textured = sceneEmitters.find((emitter) => emitter.textures.length > 0);
+    if (textured) defaultParticleTexture = textured.textures[0];
+
+    // Filter stacks of the layers and of every shown overlay (taking the old filters off right away,
+    // before they are rendered again)
+    setupLayerFilters();
+    updateLayerFilters();
+    for (const id in personFilterStacks) {
+        destroyFilterStack(personFilterStacks[id]);
+        personFilterStacks[id] = createFilterStack(getLayerFilters("person"));
+        planeContainers[id].filters = null;
+    }
+
+    showSceneBackground(scene.background, durationMs);
+    console.log(`Switched to scene ${name}`);
+}
+
+// Fade the scene's background in over the current one, which fades out and is removed
+function showSceneBackground(background, durationMs) {
+    const start = performance.now();
+    bgContainer.children.forEach((group) => {
+        sceneFades = sceneFades.filter((fade) => fade.group !== group);
+        sceneFades.push({ group, from: getBackgroundAlpha(group), to: 0, start, durationMs });
+    });
+
+    bgGroup = null;
+    if (!background) return;
+
+    bgGroup = createBackgroundGroup(background);
+    bgContainer.addChild(bgGroup);
+    sceneFades.push({ group: bgGroup, from: 0, to: background.alpha, start, durationMs });
+}
+
+// Advance the background crossfade, removing faded-out backgrounds
+function updateSceneFades() {
+    const now = performance.now();
+    sceneFades = sceneFades.filter((fade) => {
+        const t = fade.durationMs > 0 ? Math.min((now - fade.start) / fade.durationMs, 1) : 1;
+        setBackgroundAlpha(fade.group, fade.from + (fade.to - fade.from) * t);
+        if (t < 1) return true;
+
+        if (fade.to === 0) destroyBackgroundGroup(fade.group);
+        return false;
+    });
+}
+
+/*
+===========================================================
+BACKGROUND LAYERS
+This section builds a scene's background from layers, back
+to front: images, tiling images that drift slowly (clouds,
+water) and looping videos. Every layer is cover-scaled like
+the original single background image, and shifts against the
+visitors' average position by its parallax depth, overscanned
+so that the shift never reveals an edge.
+===========================================================
+*/
+
+// Load a scene's "background": an image path, a single layer with its "alpha", or
+// { "alpha", "layers": [...] }; null without one
+async function loadSceneBackground(background) {
+    if (!background) return null;
+    if (typeof background === "string") background = { image: background };
+
+    // A single image or video is a layer of its own; "alpha" is the opacity of the whole background
+    const entries = background.layers || [{ ...background, alpha: 1 }];
+    const layers = [];
+    for (const entry of entries) {
+        try {
+            layers.push(await loadBackgroundLayer(entry));
+        } catch (error) {
+            console.error('Error loading background layer:', error);
+        }
+    }
+    if (layers.length === 0) return null;
+
+    return {
+        alpha: background.alpha !== undefined ? background.alpha : BG_ALPHA,
+        layers
+    };
+}
+
+// Load one layer: { "image", "video" or "landscapes", "parallax", "drift": [x, y] px/s, "alpha", "blendMode" }
+async function loadBackgroundLayer(entry) {
+    const layer = {
+        texture: null,
+        video: null,
+        width: 0,
+        height: 0,
+        parallax: entry.parallax || 0,
+        drift: entry.drift || null,
+        alpha: entry.alpha !== undefined ? entry.alpha : 1,
+        blendMode: getSceneBlendMode(entry.blendMode, PIXI.BLEND_MODES.NORMAL)
+    };
+
+    if (entry.landscapes) {
+        // Drawn by the landscape blend filter on a plain sprite (see LANDSCAPE BLENDING)
+        layer.landscapes = await loadLandscapes(entry);
+        layer.radius = entry.radius || LANDSCAPE_BLEND.radius;
+        layer.texture = PIXI.Texture.WHITE;
+        layer.width = layer.landscapes[0].width;
+        layer.height = layer.landscapes[0].height;
+    } else if (entry.video) {
+        layer.video = await loadBackgroundVideo(entry.video);
+        layer.texture = PIXI.Texture.from(layer.video, { resourceOptions: { autoPlay: false } });
+        layer.width = layer.video.videoWidth;
+        layer.height = layer.video.videoHeight;
+    } else {
+        layer.texture = await PIXI.Assets.load(entry.image);
+        layer.width = layer.texture.width;
+        layer.height = layer.texture.height;
+    }
+    return layer;
+}
+
+// Muted, looping background video, ready to play
+async function loadBackgroundVideo(url) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.loop = true;
+    video.preload = 'auto';
+    video.src = url;
+    await new Promise((resolve, reject) => {
+        video.addEventListener('canplay', resolve, { once: true });
+        video.addEventListener('error', () => reject(new Error(`Could not load video ${url}`)), { once: true });
+    });
+
+    console.log(`Loaded background video ${url}: ${video.videoWidth}x${video.videoHeight}`);
+    return video;
+}
+
+// Create the sprites of a scene background in a group (drifting layers tile), playing its videos
+function createBackgroundGroup(background) {
+    const group = new PIXI.Container();
+    background.layers.forEach((layer) => {
+        const sprite = layer.drift
+            ? new PIXI.TilingSprite(layer.texture, layer.width, layer.height)
+            : new PIXI.Sprite(layer.texture);
+        sprite.anchor.set(0.5);
+        sprite.alpha = layer.alpha;
+        sprite.blendMode = layer.blendMode;
+        sprite.__bg = layer;
+        if (layer.landscapes) {
+            sprite.__blend = createLandscapeBlend(layer);
+            sprite.filters = [sprite.__blend.filter];
+            sprite.blendMode = PIXI.BLEND_MODES.NORMAL; // the filter carries the layer's blend mode
+        }
+        coverBackgroundLayer(sprite);
+        group.addChild(sprite);
+
+        getLayerVideos(layer).forEach((video) => {
+            video.play().catch((error) => console.error('Error playing background video:', error));
+        });
+    });
+
+    // Stacked layers fade as one image, so the back layers don't show through the front ones
+    if (background.layers.length > 1) {
+        group.__alphaFilter = new PIXI.AlphaFilter(0);
+        group.filters = [group.__alphaFilter];
+    }
+    return group;
+}
+
+// Destroy a faded-out background group, pausing videos no longer shown
+function destroyBackgroundGroup(group) {
+    const shown = bgGroup ? bgGroup.children.flatMap((sprite) => getLayerVideos(sprite.__bg)) : [];
+    group.children.forEach((sprite) => {
+        getLayerVideos(sprite.__bg).forEach((video) => {
+            if (!shown.includes(video)) video.pause();
+        });
+    });
+    group.destroy({ children: true });
+}
+
+// Videos a layer plays (its own, or those of its landscapes)
+function getLayerVideos(layer) {
+    const layers = layer.landscapes || [layer];
+    return layers.map((entry) => entry.video).filter((video) => video);
+}
+
+// Opacity of a background group as a whole
+function getBackgroundAlpha(group) {
+    return group.__alphaFilter ? group.__alphaFilter.alpha : group.alpha;
+}
+
+// Set the opacity of a background group as a whole
+function setBackgroundAlpha(group, alpha) {
+    if (group.__alphaFilter) {
+        group.__alphaFilter.alpha = alpha;
+    } else {
+        group.alpha = alpha;
+    }
+}
+
+// Scale a layer to fill the canvas while preserving aspect ratio (cover mode), grown so that its
+// parallax shift stays inside it, and place it
+function coverBackgroundLayer(sprite) {
+    const layer = sprite.__bg;
+    const w = pixiApp.renderer.width;
+    const h = pixiApp.renderer.height;
+    const overscan = 1 + 2 * BACKGROUND_PARALLAX.maxShift * Math.abs(layer.parallax);
+    const scale = Math.max(w / layer.width, h / layer.height) * overscan;
+
+    if (layer.drift || layer.landscapes) {
+        // Tiling layers keep their size and scroll their tiles instead; landscape blends cover-scale in the filter
+        sprite.width = w * overscan;
+        sprite.height = h * overscan;
+        if (layer.drift) sprite.tileScale.set(scale);
+    } else {
+        sprite.scale.set(scale);
+    }
+    placeBackgroundLayer(sprite);
+}
+
+// Center a layer on the canvas, shifted against the visitors' average position by its parallax depth
+function placeBackgroundLayer(sprite) {
+    const layer = sprite.__bg;
+    const w = pixiApp.renderer.width;
+    const h = pixiApp.renderer.height;
+    const shift = BACKGROUND_PARALLAX.maxShift * layer.parallax;
+    sprite.x = w / 2 - backgroundParallax.x * shift * w;
+    sprite.y = h / 2 - backgroundParallax.y * shift * BACKGROUND_PARALLAX.vertical * h;
+}
+
+// Ease the parallax toward the visitors' average position, and move and drift every layer
+function updateBackgroundLayers(dt) {
+    const center = getVisitorsCenter();
+    const target = center || { x: 0, y: 0 };
+    backgroundParallax.x += (target.x - backgroundParallax.x) * BACKGROUND_PARALLAX.smooth;
+    backgroundParallax.y += (target.y - backgroundParallax.y) * BACKGROUND_PARALLAX.smooth;
+
+    bgContainer.children.forEach((group) => {
+        group.children.forEach((sprite) => {
+            placeBackgroundLayer(sprite);
+            if (sprite.__blend) updateLandscapeBlend(sprite);
+            const drift = sprite.__bg.drift;
+            if (drift) {
+                sprite.tilePosition.x += drift[0] * dt;
+                sprite.tilePosition.y += (drift[1] || 0) * dt;
+            }
+        });
+    });
+}
+
+// Average torso center of the participants, -1..1 from the frame center (video space), or null
+function getVisitorsCenter() {
+    let x = 0;
+    let y = 0;
+    let count = 0;
+    participants.forEach((person) => {
+        const pose = personPoses[person.id];
+        const center = pose && getTorsoCenter(pose);
+        if (!center) return;
+        x += center.x;
+        y += center.y;
+        count++;
+    });
+    if (count === 0) return null;
+
+    return {
+        x: (x / count / originalWidth) * 2 - 1,
+        y: (y / count / originalHeight) * 2 - 1
+    };
+}
+
+/*
+===========================================================
+LANDSCAPE BLENDING
+This section blends the landscapes of a background layer by
+what the visitors are posing. Each landscape after the first
+belongs to a pose and spreads through a noise mask as the
+share of posing visitors in that pose grows, and shows in a
+patch around each visitor holding it; visitors posing the
+first landscape's pose keep the others away around them.
+Shares and patches ease in and out.
+===========================================================
+*/
+
+// Load a layer's landscapes ({ "image" or "video", "pose" } each, the first one is the base)
+async function loadLandscapes(entry) {
+    let entries = entry.landscapes;
+    if (entries.length > LANDSCAPE_BLEND.maxLandscapes) {
+        console.warn(`Background layer has ${entries.length} landscapes, blending the first ${LANDSCAPE_BLEND.maxLandscapes}`);
+        entries = entries.slice(0, LANDSCAPE_BLEND.maxLandscapes);
+    }
+
+    const landscapes = [];
+    for (const landscape of entries) {
+        const loaded = await loadBackgroundLayer({ image: landscape.image, video: landscape.video });
+        landscapes.push({ ...loaded, pose: landscape.pose || null });
+    }
+    return landscapes;
+}
+
+// Create the blend filter of a landscape layer, with its eased shares and patches
+function createLandscapeBlend(layer) {
+    const uniforms = {
+        uFrame: new Float32Array(4),
+        uAspect: 1,
+        uShare: new Float32Array(4),
+        uPeople: new Float32Array(4 * LANDSCAPE_BLEND.maxPeople),
+        uSoftness: LANDSCAPE_BLEND.softness,
+        uNoiseScale: LANDSCAPE_BLEND.noiseScale
+    };
+    for (let i = 0; i < LANDSCAPE_BLEND.maxLandscapes; i++) {
+        const landscape = layer.landscapes[i];
+        uniforms[`uLandscape${i}`] = landscape ? landscape.texture : PIXI.Texture.EMPTY;
+        uniforms[`uCover${i}`] = new Float32Array([1, 1, 0, 0]);
+    }
+
+    const filter = new PIXI.Filter(undefined, LANDSCAPE_BLEND_FRAGMENT, uniforms);
+    filter.blendMode = layer.blendMode;
+    return {
+        filter,
+        shares: layer.landscapes.map(() => 0),
+        patches: {}             // { x, y, radius, index, strength, seen } per person ID and landscape
+    };
+}
+
+// Landscape index of a pose in a layer, or -1
+function getLandscapeIndex(layer, poseName) {
+    return layer.landscapes.findIndex((landscape) => landscape.pose === poseName);
+}
+
+// Ease the shares and patches toward what the participants are posing, and update the filter
+function updateLandscapeBlend(sprite) {
+    const layer = sprite.__bg;
+    const blend = sprite.__blend;
+    const uniforms = blend.filter.uniforms;
+    const smooth = LANDSCAPE_BLEND.smooth;
+
+    // Layer frame on screen (it may be shifted and overscanned by the parallax)
+    const frame = { x: sprite.x - sprite.width / 2, y: sprite.y - sprite.height / 2, w: sprite.width, h: sprite.height };
+    uniforms.uFrame.set([frame.x, frame.y, frame.w, frame.h]);
+    uniforms.uAspect = frame.w / frame.h;
+    layer.landscapes.forEach((landscape, i) => {
+        const scale = Math.max(frame.w / landscape.width, frame.h / landscape.height);
+        const visibleX = frame.w / (landscape.width * scale);
+        const visibleY = frame.h / (landscape.height * scale);
+        uniforms[`uCover${i}`].set([visibleX, visibleY, (1 - visibleX) / 2, (1 - visibleY) / 2]);
+    });
+
+    // Participants posing one of the landscapes' poses
+    const counts = layer.landscapes.map(() => 0);
+    let posing = 0;
+    for (const key in blend.patches) blend.patches[key].seen = false;
+    participants.forEach((person) => {
+        const active = personActivePoses[person.id];
+        const index = active ? getLandscapeIndex(layer, active.name) : -1;
+        if (index < 0) return;
+        counts[index]++;
+        posing++;
+
+        const pose = personPoses[person.id];
+        const center = pose && getTorsoCenter(pose);
+        if (!center) return;
+        const key = `${person.id}:${index}`;
+        if (!blend.patches[key]) blend.patches[key] = { index, strength: 0 };
+        const patch = blend.patches[key];
+        patch.seen = true;
+        patch.x = ((center.x / originalWidth) * pixiApp.renderer.width - frame.x) / frame.w;
+        patch.y = ((center.y / originalHeight) * pixiApp.renderer.height - frame.y) / frame.h;
+        patch.radius = (((getBodyScale(pose) || 0) * layer.radius) / originalHeight) * pixiApp.renderer.height / frame.h;
+    });
+
+    // Shares of the posing visitors (all landscapes ease back out without any)
+    blend.shares = blend.shares.map((share, i) => {
+        const target = posing > 0 ? counts[i] / posing : 0;
+        return share + (target - share) * smooth;
+    });
+    uniforms.uShare.set([0, blend.shares[1] || 0, blend.shares[2] || 0, blend.shares[3] || 0]);
+
+    // Patches grow around posing visitors and shrink away after them, strongest first
+    for (const key in blend.patches) {
+        const patch = blend.patches[key];
+        patch.strength += ((patch.seen ? 1 : 0) - patch.strength) * smooth;
+        if (!patch.seen && patch.strength < 0.01) delete blend.patches[key];
+    }
+    const patches = Object.values(blend.patches)
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, LANDSCAPE_BLEND.maxPeople);
+    uniforms.uPeople.fill(0);
+    patches.forEach((patch, i) => {
+        uniforms.uPeople.set([patch.x, patch.y, patch.radius * patch.strength, patch.index], i * 4);
+    });
+}
+
+/*
+===========================================================
+POSE VARIANTS
+This section picks the artwork a person's overlay shows when
+a pose definition lists a pool of "variants": a fresh random
+pick on every activation, round-robin across visitors, one
+variant per person for as long as they are tracked, or a
+weighted random pick.
+===========================================================
+*/
+
+const VARIANT_STRATEGIES = ["random", "roundRobin", "stickPerPerson", "weighted"];
+
+// Load a definition's variant pool (entries: "path" or { "texture": "path", "weight": n }), from
+// the definition or the scene's overlay entry for it
+async function loadPoseVariants(def, variants) {
+    const entries = Array.isArray(variants) ? variants : variants.textures || [];
+    const strategy = variants.strategy || "random";
+    if (!VARIANT_STRATEGIES.includes(strategy)) {
+        console.warn(`Unknown variant strategy "${strategy}" for ${def.name}, using random`);
+    }
+
+    const pool = [];
+    for (const entry of entries) {
+        const path = typeof entry === "string" ? entry : entry.texture;
+        const weight = typeof entry === "string" || entry.weight === undefined ? 1 : entry.weight;
+        try {
+            pool.push({ texture: await loadOverlayTexture(path), weight });
+        } catch (error) {
+            console.error(`Error loading variant ${path} for ${def.name}:`, error);
+        }
+    }
+    console.log(`Loaded ${pool.length} variants for ${def.name} (${strategy})`);
+    return pool;
+}
+
+// Selection strategy of a definition's variants in the active scene (random by default)
+function getVariantStrategy(def) {
+    const variants = def && getPoseOverlay(def).variants;
+    return (variants && variants.strategy) || "random";
+}
+
+// New activations re-pick their variant, except with stickPerPerson
+function setupPoseVariants() {
+    onPoseEvent("poseenter", (detail) => {
+        if (!detail.definition || getVariantStrategy(detail.definition) === "stickPerPerson") return;
+
+        const variants = personVariants[detail.personId];
+        if (variants && detail.name in variants.current) {
+            variants.previous[detail.name] = variants.current[detail.name];
+            delete variants.current[detail.name];
+        }
+    });
+}
+
+// Overlay texture of a person's pose: their variant when the pose has a pool, else the pose texture
+function getPoseTexture(personId, poseName) {
+    const pool = poseVariantTextures[poseName];
+    if (!pool || pool.length === 0) return poseTextures[poseName];
+
+    const variants = personVariants[personId];
+    if (!(poseName in variants.current)) {
+        variants.current[poseName] = pickPoseVariant(poseName, pool, variants.previous[poseName]);
+    }
+    return pool[variants.current[poseName]].texture;
+}
+
+// Index of the next variant by the pose's strategy (previous: the person's last variant, if any)
+function pickPoseVariant(poseName, pool, previous) {
+    const strategy = getVariantStrategy(findPoseDefinition(poseName));
+
+    // Round-robin (also the first pick per person with stickPerPerson, so visitors differ)
+    if (strategy === "roundRobin" || strategy === "stickPerPerson") {
+        const index = (variantCursors[poseName] || 0) % pool.length;
+        variantCursors[poseName] = index + 1;
+        return index;
+    }
+
+    // Weighted random
+    if (strategy === "weighted") {
+        const total = pool.reduce((sum, variant) => sum + variant.weight, 0);
+        let r = Math.random() * total;
+        for (let i = 0; i < pool.length; i++) {
+            r -= pool[i].weight;
+            if (r < 0) return i;
+        }
+        return pool.length - 1;
+    }
+
+    // Random, never the same variant twice in a row for a person
+    const candidates = pool.map((variant, i) => i).filter((i) => pool.length === 1 || i !== previous);
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+/*
+===========================================================
+HOLD-TO-CHARGE
+This section advances a per-person hold timer for the active
+pose. Poses with a "charge" block step through their stage
+textures while held, pulse and emit "posecharged" at full
+charge, and rewind through the stages once released.
+===========================================================
+*/
+
+// Empty charge for a pose name (null = nothing charging)
+function createPoseCharge(poseName) {
+    return { pose: poseName, value: 0, alpha: 0, releaseValue: null, releaseAlpha: 0, charged: false, climaxStart: -Infinity };
+}
+
+// Advance a person's charge by this frame's deltaTime:
+// - the active pose charges up over its "durationMs" (CHARGE_DURATION_MS)
+// - a released pose rewinds over its "rewindMs" (CHARGE_REWIND_MS) while its overlay fades out
+// - switching to another pose starts that pose's charge from the first stage
+function updatePoseCharge(personId, pose) {
+    const active = personActivePoses[personId];
+    let charge = personCharges[personId];
+
+    if (active.name !== "Neutral" && active.name !== charge.pose) {
+        const def = findPoseDefinition(active.name);
+        charge = createPoseCharge(def && def.charge ? active.name : null);
+        personCharges[personId] = charge;
+    }
+    if (!charge.pose) return;
+
+    const def = findPoseDefinition(charge.pose);
+    if (active.name === charge.pose) {
+        charge.value = Math.min(1, charge.value + deltaTime / (def.charge.durationMs || CHARGE_DURATION_MS));
+        charge.alpha = poseScoreToAlpha(active.score);
+        charge.releaseValue = null;
+
+        if (charge.value >= 1 && !charge.charged) {
+            charge.charged = true;
+            charge.climaxStart = millis();
+            emitPoseEvent("posecharged", { personId, pose, name: charge.pose, definition: def });
+        }
+    } else {
+        // Remember where the release started so the fade reaches 0 with the charge
+        if (charge.releaseValue === null) {
+            charge.releaseValue = charge.value;
+            charge.releaseAlpha = charge.alpha;
+        }
+        charge.charged = false;
+        charge.value = Math.max(0, charge.value - deltaTime / (def.charge.rewindMs || CHARGE_REWIND_MS));
+        charge.alpha = charge.releaseValue > 0 ? charge.releaseAlpha * (charge.value / charge.releaseValue) : 0;
+
+        if (charge.value <= 0) {
+            personCharges[personId] = createPoseCharge(null);
+        }
+    }
+}
+
+// Stage texture for a person's charging pose (stages split the charge evenly), or null
+// during the first stage, which shows the person's pose texture or variant
+function getChargeStageTexture(personId, poseName) {
+    const charge = personCharges[personId];
+    const stages = poseStageTextures[poseName];
+    if (!stages || stages.length === 0 || charge.pose !== poseName) return null;
+
+    const stage = Math.min(stages.length - 1, Math.floor(charge.value * stages.length));
+    return stage > 0 ? stages[stage] : null;
+}
+
+// Progress 0..1 of a person's climax pulse, or null outside of it
+function getClimaxProgress(personId) {
+    const t = (millis() - personCharges[personId].climaxStart) / CHARGE_CLIMAX_SETTINGS.durationMs;
+    return (t >= 0 && t < 1) ? t : null;
+}
+
+// Overlay scale multiplier for the climax pulse (1 outside of it)
+function getChargePulse(personId) {
+    const t = getClimaxProgress(personId);
+    return t === null ? 1 : 1 + CHARGE_CLIMAX_SETTINGS.pulseScale * Math.sin(Math.PI * t);
+}
+
+// Draw a person's progress ring above the head (hidden when nothing charges or the overlay is hidden)
+function updateChargeRing(personId, pose, scaleX, scaleY, overlayVisible) {
+    const charge = personCharges[personId];
+    const bodyScale = getBodyScale(pose);
+    const nose = getKeypoint(pose, "nose");
+    let ring = chargeRings[personId];
+
+    if (!overlayVisible || !charge.pose || charge.value <= 0 || !bodyScale || !nose || nose.confidence < 0.3 || !fxContainer) {
+        if (ring) ring.visible = false;
+        return;
+    }
+
+    if (!ring) {
+        ring = new PIXI.Graphics();
+        fxContainer.addChild(ring);
+        chargeRings[personId] = ring;
+    }
+
+    // Ring size follows the body, so it reads the same at any distance
+    const unit = bodyScale * scaleX;
+    const radius = CHARGE_RING_SETTINGS.radius * unit;
+    const thickness = Math.max(2, CHARGE_RING_SETTINGS.thickness * unit);
+    const start = -Math.PI / 2;
+    const end = start + Math.PI * 2 * charge.value;
+    const color = charge.charged ? CHARGE_RING_SETTINGS.chargedColor : CHARGE_RING_SETTINGS.color;
+
+    ring.clear();
+    ring.lineStyle(thickness, CHARGE_RING_SETTINGS.trackColor, CHARGE_RING_SETTINGS.trackAlpha);
+    ring.drawCircle(0, 0, radius);
+    ring.lineStyle(thickness, color, 1);
+    ring.moveTo(Math.cos(start) * radius, Math.sin(start) * radius);
+    ring.arc(0, 0, radius, start, end);
+
+    // Climax flash: a second ring expanding and fading out
+    const climax = getClimaxProgress(personId);
+    if (climax !== null) {
+        ring.lineStyle(thickness * (1 - climax), CHARGE_RING_SETTINGS.chargedColor, 1 - climax);
+        ring.drawCircle(0, 0, radius * smoothLerp(1, CHARGE_CLIMAX_SETTINGS.ringScale, climax));
+    }
+
+    ring.position.set(nose.x * scaleX, (nose.y - CHARGE_RING_SETTINGS.offset * bodyScale) * scaleY);
+    ring.alpha = charge.alpha;
+    ring.visible = true;
+}
+
+/*
+===========================================================
+DUET POSES
+This section evaluates duet definitions over pairs of people.
+The pair is ordered left/right on screen and merged into one
+pose whose keypoints are prefixed "left." and "right.", so
+duet rules use the same format as single-person rules.
+===========================================================
+*/
+
+// Navel-height torso center (see TORSO_OFFSET_FACTOR) in video space from detected
+// (not predicted) shoulders and hips, or null
+function getTorsoCenter(pose) {
+    const leftShoulder = getKeypoint(pose, "left_shoulder");
+    const rightShoulder = getKeypoint(pose, "right_shoulder");
+    const leftHip = getKeypoint(pose, "left_hip");
+    const rightHip = getKeypoint(pose, "right_hip");
+    if (!isDetectedKeypoint(leftShoulder, 0.3) || !isDetectedKeypoint(rightShoulder, 0.3) ||
+        !isDetectedKeypoint(leftHip, 0.3) || !isDetectedKeypoint(rightHip, 0.3)) return null;
+
+    const shoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+    const hipY = (leftHip.y + rightHip.y) / 2;
+    return {
+        x: (leftShoulder.x + rightShoulder.x) / 2,
+        y: shoulderY + TORSO_OFFSET_FACTOR * (hipY - shoulderY)
+    };
+}
+
+// Merge two poses into one with "left."/"right." prefixed keypoint names
+function combineDuetPoses(leftPose, rightPose) {
+    return {
+        keypoints: leftPose.keypoints.map((k) => Object.assign({}, k, { name: "left." + k.name }))
+            .concat(rightPose.keypoints.map((k) => Object.assign({}, k, { name: "right." + k.name })))
+    };
+}
+
+// Score a left/right pair against a duet definition (0..1). "members" lists the
+// active pose each person must hold ("any" accepts every state).
+function scoreDuetDefinition(def, leftId, rightId) {
+    const members = def.members || ["any", "any"];
+    const states = [personActivePoses[leftId].name, personActivePoses[rightId].name];
+    for (let m = 0; m < 2; m++) {
+        if (members[m] && members[m] !== "any" && members[m] !== states[m]) return 0;
+    }
+
+    const leftScale = getBodyScale(personPoses[leftId]);
+    const rightScale = getBodyScale(personPoses[rightId]);
+    if (!leftScale || !rightScale) return 0;
+
+    // Body units for pair rules are the average of both people
+    const combined = combineDuetPoses(personPoses[leftId], personPoses[rightId]);
+    return scoreRuleDefinition(def, combined, (leftScale + rightScale) / 2);
+}
+
+// Assign people to duets (each person joins at most one, closest pairs first)
+// with the same enter/exit hysteresis as single poses, and emit
+// duetenter/duetexit events
+function updateDuets() {
+    personDuets = {};
+    activeDuets = [];
+    const now = millis();
+    const nextStates = {};
+    const ids = participants.map((person) => person.id);
+
+    if (duetRegistry.length > 0 && ids.length >= 2) {
+        const centers = {};
+        ids.forEach((id) => { centers[id] = getTorsoCenter(personPoses[id]); });
+
+        const pairs = [];
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const a = ids[i];
+                const b = ids[j];
+                if (!centers[a] || !centers[b]) continue;
+                pairs.push({ a, b, distance: keypointDistance(centers[a], centers[b]) });
+            }
+        }
+        pairs.sort((p, q) => p.distance - q.distance);
+
+        pairs.forEach(({ a, b }) => {
+            if (personDuets[a] || personDuets[b]) return;
+
+            const key = `${Math.min(a, b)}-${Math.max(a, b)}`;
+            const left = centers[a].x <= centers[b].x ? a : b;
+            const right = left === a ? b : a;
+
+            // Keep the pair's current duet until it drops below the exit score
+            // (and has been held long enough), otherwise look for one to enter
+            let state = null;
+            const previous = duetStates[key];
+            if (previous) {
+                const def = duetRegistry.find((d) => d.name === previous.name);
+                const score = def ? scoreDuetDefinition(def, left, right) : 0;
+                if (def && (score >= POSE_EXIT_SCORE || now - previous.since < POSE_MIN_HOLD_MS)) {
+                    state = previous;
+                }
+            }
+            if (!state) {
+                const def = duetRegistry.find((d) => scoreDuetDefinition(d, left, right) >= POSE_ENTER_SCORE);
+                if (def) state = { name: def.name, since: now };
+            }
+
+            if (state) {
+                const definition = duetRegistry.find((d) => d.name === state.name);
+                activeDuets.push({ key, name: state.name, definition, left, right });
+                personDuets[a] = key;
+                personDuets[b] = key;
+                nextStates[key] = state;
+            }
+        });
+    }
+
+    // Enter/exit events, keyed by pair. Each state keeps the pair's latest pose and position,
+    // so exit actions still have them when a person has already left
+    const scaleX = width / originalWidth;
+    const scaleY = height / originalHeight;
+    activeDuets.forEach((duet) => {
+        const a = getTorsoCenter(personPoses[duet.left]);
+        const b = getTorsoCenter(personPoses[duet.right]);
+        const state = nextStates[duet.key];
+        state.personIds = [duet.left, duet.right];
+        state.pose = combineDuetPoses(personPoses[duet.left], personPoses[duet.right]);
+        state.position = { x: ((a.x + b.x) / 2) * scaleX, y: ((a.y + b.y) / 2) * scaleY };
+
+        if (!duetStates[duet.key] || duetStates[duet.key].name !== duet.name) {
+            emitPoseEvent("duetenter", {
+                key: duet.key,
+                name: duet.name,
+                definition: duet.definition,
+                personIds: state.personIds,
+                pose: state.pose,
+                position: state.position
+            });
+        }
+    });
+    for (const key in duetStates) {
+        if (!nextStates[key] || nextStates[key].name !== duetStates[key].name) {
+            const previous = duetStates[key];
+            emitPoseEvent("duetexit", {
+                key,
+                name: previous.name,
+                definition: duetRegistry.find((def) => def.name === previous.name),
+                personIds: previous.personIds,
+                pose: previous.pose,
+                position: previous.position
+            });
+        }
+    }
+    duetStates = nextStates;
+
+    // Display active duets on the canvas
+    fill(255);
+    noStroke();
+    textSize(20 * min(scaleX, scaleY));
+    textAlign(LEFT);
+    activeDuets.forEach((duet, n) => {
+        text(`Duet ${duet.name}: Persons ${duet.left} + ${duet.right}`, 10 * scaleX, (30 + 24 * n) * scaleY);
+    });
+}
+
+/*
+===========================================================
+POSE CLASSIFIER
+This section implements the learned classifier: poses are
+turned into normalized keypoint vectors (relative to the
+shoulder midpoint, in body units) and labelled by k-nearest
+neighbours over the recorded samples. The model lives in
+local storage and can be exported/imported as a JSON file.
+===========================================================
+*/
+
+// Turn a pose into a feature vector [x0, y0, x1, y1, ...] in body units around the
+// shoulder midpoint. Low-confidence and predicted keypoints are stored as null.
+function normalizePoseFeatures(pose, bodyScale) {
+    if (!bodyScale) return null;
+
+    const leftShoulder = getKeypoint(pose, "left_shoulder");
+    const rightShoulder = getKeypoint(pose, "right_shoulder");
+    const originX = (leftShoulder.x + rightShoulder.x) / 2;
+    const originY = (leftShoulder.y + rightShoulder.y) / 2;
+
+    const features = [];
+    POSE_FEATURE_KEYPOINTS.forEach((name) => {
+        const k = getKeypoint(pose, name);
+        if (isDetectedKeypoint(k, FEATURE_MIN_CONFIDENCE)) {
+            features.push((k.x - originX) / bodyScale, (k.y - originY) / bodyScale);
+        } else {
+            features.push(null, null);
+        }
+    });
+    return features;
+}
+
+// RMS distance over the dimensions both vectors have; Infinity when they share
+// less than half of them
+function featureDistance(a, b) {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === null || b[i] === null) continue;
+        const d = a[i] - b[i];
+        sum += d * d;
+        count++;
+    }
+    return count >= a.length / 2 ? Math.sqrt(sum / count) : Infinity;
+}
+
+// k-nearest-neighbour vote: { label, share, votes: { label: share } } or null
+function classifyWithModel(features) {
+    if (!features || poseModel.samples.length === 0) return null;
+
+    const neighbours = poseModel.samples
+        .map((sample) => ({ label: sample.label, distance: featureDistance(features, sample.features) }))
+        .filter((n) => n.distance !== Infinity)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, poseModel.k || MODEL_K);
+    if (neighbours.length === 0) return null;
+
+    const votes = {};
+    neighbours.forEach((n) => {
+        votes[n.label] = (votes[n.label] || 0) + 1 / neighbours.length;
+    });
+
+    let label = null;
+    for (const name in votes) {
+        if (label === null || votes[name] > votes[label]) label = name;
+    }
+    return { label, share: votes[label], votes };
+}
+
+// Number of recorded samples for a label
+function countModelSamples(label) {
+    return poseModel.samples.filter((sample) => sample.label === label).length;
+}
+
+// Whether a definition is classified by the model instead of its rules.
+// "classifier": "rules" | "model" | "auto" (default: model once it has enough samples)
+function usesPoseModel(def) {
+    const classifier = def.classifier || "auto";
+    if (classifier === "model") return true;
+    if (classifier === "rules") return false;
+    return countModelSamples(def.name) >= MODEL_MIN_SAMPLES;
+}
+
+// Model score for a definition: its share of the neighbour votes, mapped so that
+// exactly "modelMinVote" scores 0.5
+function scoreModelDefinition(def, modelResult) {
+    if (!modelResult) return 0;
+    const minVote = def.modelMinVote !== undefined ? def.modelMinVote : MODEL_MIN_VOTE;
+    return softThreshold((modelResult.votes[def.name] || 0) - minVote, MODEL_VOTE_SOFTNESS);
+}
+
+// Check that parsed JSON looks like a pose model
+function isValidPoseModel(model) {
+    const length = POSE_FEATURE_KEYPOINTS.length * 2;
+    return !!model && Array.isArray(model.samples) && model.samples.every((sample) =>
+        typeof sample.label === 'string' && Array.isArray(sample.features) && sample.features.length === length);
+}
+
+// Load the model from local storage, falling back to the shipped poses/model.json
+async function loadPoseModel() {
+    try {
+        const stored = localStorage.getItem(POSE_MODEL_STORAGE_KEY);
+        if (stored) {
+            const model = JSON.parse(stored);
+            if (isValidPoseModel(model)) {
+                poseModel = model;
+                console.log(`Pose model restored from local storage (${poseModel.samples.length} samples)`);
+                updateTrainerStatus();
+                return;
+            }
+        }
+    } catch (error) {
+        console.error('Error reading stored pose model:', error);
+    }
+
+    try {
+        const res = await fetch(POSE_MODEL_URL);
+        if (!res.ok) return; // No shipped model, rules only
+        const model = await res.json();
+        if (isValidPoseModel(model)) {
+            poseModel = model;
+            console.log(`Pose model loaded from ${POSE_MODEL_URL} (${poseModel.samples.length} samples)`);
+            updateTrainerStatus();
+        }
+    } catch (error) {
+        console.error('Error loading shipped pose model:', error);
+    }
+}
+
+// Persist the model in local storage
+function savePoseModel() {
+    try {
+        localStorage.setItem(POSE_MODEL_STORAGE_KEY, JSON.stringify(poseModel));
+    } catch (error) {
+        console.error('Error saving pose model:', error);
+    }
+    updateTrainerStatus();
+}
+
+/*
+===========================================================
+POSE TRAINER
+This section handles the training panel: the operator picks
+a pose, presses Record, and after a short countdown samples
+of the closest person are added to the model.
+===========================================================
+*/
+
+// Setup trainer panel event listeners
+function setupTrainer() {
+    const trainerToggleBtn = document.getElementById('trainer-toggle-btn');
+    const recordBtn = document.getElementById('trainer-record-btn');
+    const clearBtn = document.getElementById('trainer-clear-btn');
+    const exportBtn = document.getElementById('trainer-export-btn');
+    const importInput = document.getElementById('trainer-import-input');
+    const resetBtn = document.getElementById('trainer-reset-btn');
+    if (!trainerToggleBtn) return;
+
+    trainerToggleBtn.addEventListener('click', () => {
+        document.getElementById('trainer-panel').classList.toggle('d-none');
+    });
+    recordBtn.addEventListener('click', startTrainerRecording);
+    clearBtn.addEventListener('click', () => {
+        const label = document.getElementById('trainer-pose-select').value;
+        poseModel.samples = poseModel.samples.filter((sample) => sample.label !== label);
+        savePoseModel();
+    });
+    exportBtn.addEventListener('click', exportPoseModel);
+    importInput.addEventListener('change', (event) => {
+        if (event.target.files.length > 0) importPoseModel(event.target.files[0]);
+        event.target.value = '';
+    });
+    resetBtn.addEventListener('click', () => {
+        poseModel = { version: 1, k: MODEL_K, samples: [] };
+        savePoseModel();
+    });
+
+    updateTrainerStatus();
+}
+
+// Fill the trainer pose dropdown from the registry (plus Neutral as a negative class)
+function renderTrainerOptions() {
+    const select = document.getElementById('trainer-pose-select');
+    if (!select) return;
+
+    select.innerHTML = '';
+    poseRegistry.map((def) => def.name).concat("Neutral").forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    updateTrainerStatus();
+}
+
+// Show sample counts per label and the recording phase
+function updateTrainerStatus() {
+    const status = document.getElementById('trainer-status');
+    if (!status) return;
+
+    const labels = poseRegistry.map((def) => def.name).concat("Neutral");
+    const counts = labels.map((label) => `${label}: ${countModelSamples(label)}`).join(' · ');
+    const phase = trainer.phase === "idle" ? "" : ` — ${trainer.phase} ${trainer.label}`;
+    status.textContent = `Samples ${counts}${phase}`;
+}
+
+// Begin the countdown for recording the selected pose
+function startTrainerRecording() {
+    if (trainer.phase !== "idle") return;
+
+    trainer.label = document.getElementById('trainer-pose-select').value;
+    trainer.phase = "countdown";
+    trainer.phaseStart = millis();
+    trainer.recorded = 0;
+    updateTrainerStatus();
+}
+
+// Advance the trainer each frame and record samples of the closest person
+function updateTrainer() {
+    if (trainer.phase === "idle") return;
+
+    const elapsed = millis() - trainer.phaseStart;
+
+    if (trainer.phase === "countdown") {
+        if (elapsed >= TRAINER_COUNTDOWN_MS) {
+            trainer.phase = "recording";
+            trainer.phaseStart = millis();
+            updateTrainerStatus();
+        }
+    } else if (trainer.phase === "recording") {
+        if (elapsed >= TRAINER_RECORD_MS) {
+            trainer.phase = "idle";
+            savePoseModel();
+            console.log(`Trainer recorded ${trainer.recorded} samples for ${trainer.label}`);
+            return;
+        }
+
+        if (millis() - trainer.lastSample >= TRAINER_SAMPLE_INTERVAL_MS) {
+            // The closest person (largest body scale) is the one being trained
+            let best = null;
+            let bestScale = 0;
+            participants.forEach(({ pose }) => {
+                const scale = getBodyScale(pose);
+                if (scale && scale > bestScale) {
+                    best = pose;
+                    bestScale = scale;
+                }
+            });
+
+            const features = best ? normalizePoseFeatures(best, bestScale) : null;
+            if (features) {
+                poseModel.samples.push({ label: trainer.label, features });
+                trainer.recorded++;
+                trainer.lastSample = millis();
+                updateTrainerStatus();
+            }
+        }
+    }
+
+    // On-canvas feedback for the person posing
+    const scaleX = width / originalWidth;
+    const scaleY = height / originalHeight;
+    fill(255, 255, 0);
+    noStroke();
+    textSize(28 * min(scaleX, scaleY));
+    textAlign(CENTER);
+    const message = trainer.phase === "countdown"
+        ? `${trainer.label} in ${Math.ceil((TRAINER_COUNTDOWN_MS - elapsed) / 1000)}...`
+        : `Recording ${trainer.label} (${trainer.recorded})`;
+    text(message, width / 2, 40 * scaleY);
+}
+
+// Download the model as a JSON file (ship it as poses/model.json)
+function exportPoseModel() {
+    downloadJson(poseModel, 'model.json');
+}
+
+// Save data as a downloaded JSON file
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Start recording a pose clip, or stop and download it (pose-clip.json, loaded by
+// the mesh rig editor in pixijs-mesh-test to preview rigs against a real body)
+function togglePoseClip() {
+    if (!poseClip) {
+        poseClip = { start: millis(), frames: [] };
+        console.log('Pose clip recording started (press R to stop)');
+        return;
+    }
+    console.log(`Pose clip recorded: ${poseClip.frames.length} frames`);
+    downloadJson({ frames: poseClip.frames }, 'pose-clip.json');
+    poseClip = null;
+}
+
+// Add the first participant's filtered keypoints to the pose clip being recorded
+function recordPoseClipFrame() {
+    if (!poseClip || participants.length === 0) return;
+
+    const t = millis() - poseClip.start;
+    poseClip.frames.push({
+        t: Math.round(t),
+        keypoints: participants[0].pose.keypoints.map(({ name, x, y, confidence }) => ({ name, x, y, confidence }))
+    });
+    if (t >= POSE_CLIP_MAX_MS) togglePoseClip();
+}
+
+// Replace the model with one read from a JSON file
+function importPoseModel(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const model = JSON.parse(reader.result);
+            if (!isValidPoseModel(model)) {
+                console.error('Imported file is not a valid pose model');
+                return;
+            }
+            poseModel = model;
+            savePoseModel();
+            console.log(`Pose model imported (${poseModel.samples.length} samples)`);
+        } catch (error) {
+            console.error('Error importing pose model:', error);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/*
+===========================================================
+GESTURE RECOGNITION
+This section keeps a rolling keypoint history per person and
+matches it against movement templates from gestures/index.json
+(waves, jumps, arm sweeps) using dynamic time warping. A match
+emits a "gesture" event.
+===========================================================
+*/
+
+// Load the gesture manifest and every template it lists
+async function loadGestureRegistry() {
+    try {
+        const manifest = await fetch(GESTURE_MANIFEST_URL).then((res) => res.json());
+        const baseUrl = GESTURE_MANIFEST_URL.slice(0, GESTURE_MANIFEST_URL.lastIndexOf('/') + 1);
+
+        const gestures = [];
+        for (const file of manifest.gestures) {
+            try {
+                const gesture = await fetch(baseUrl + file).then((res) => res.json());
+                if (!gesture.name || !Array.isArray(gesture.channels) || !Array.isArray(gesture.template)) {
+                    console.warn(`Skipping gesture ${file}: missing name, channels or template`);
+                    continue;
+                }
+                gesture.templateFrames = prepareGestureTemplate(gesture);
+                gestures.push(gesture);
+            } catch (error) {
+                console.error(`Error loading gesture ${file}:`, error);
+            }
+        }
+        gestureRegistry = gestures;
+
+        console.log(`Gesture registry loaded: ${gestureRegistry.map((g) => g.name).join(', ')}`);
+    } catch (error) {
+        console.error('Error loading gesture registry:', error);
+    }
+}
+
+// Templates with origin "last" are made relative to their final frame
+function prepareGestureTemplate(gesture) {
+    if (gesture.origin !== "last") return gesture.template;
+
+    const last = gesture.template[gesture.template.length - 1];
+    return gesture.template.map((frame) => frame.map((value, c) => value - last[c]));
+}
+
+// Swap left_/right_ in a keypoint name
+function mirrorKeypointName(name) {
+    if (name.startsWith("left_")) return "right_" + name.slice(5);
+    if (name.startsWith("right_")) return "left_" + name.slice(6);
+    return name;
+}
+
+// Mirror a pose rule (used by the "require" rules of mirrored gestures)
+function mirrorPoseRule(rule) {
+    const mirrorNames = (names) => Array.isArray(names) ? names.map(mirrorKeypointName) : mirrorKeypointName(names);
+    const mirrored = Object.assign({}, rule);
+    if (rule.a) mirrored.a = mirrorNames(rule.a);
+    if (rule.b) mirrored.b = mirrorNames(rule.b);
+    if (rule.joint) mirrored.joint = mirrorNames(rule.joint);
+    if (rule.type === "leftOf") mirrored.type = "rightOf";
+    if (rule.type === "rightOf") mirrored.type = "leftOf";
+    return mirrored;
+}
+
+// Append the current pose to a person's history and drop old frames
+function recordPoseHistory(personId, pose) {
+    const history = personHistories[personId];
+    const now = millis();
+
+    const bodyScale = getBodyScale(pose);
+    if (bodyScale) {
+        const keypoints = {};
+        pose.keypoints.forEach((k) => {
+            keypoints[k.name] = { x: k.x, y: k.y, confidence: k.confidence, predicted: k.predicted };
+        });
+        const shoulderMid = {
+            x: (keypoints.left_shoulder.x + keypoints.right_shoulder.x) / 2,
+            y: (keypoints.left_shoulder.y + keypoints.right_shoulder.y) / 2
+        };
+        history.push({ t: now, bodyScale, shoulderMid, keypoints });
+    }
+
+    while (history.length > 0 && now - history[0].t > GESTURE_HISTORY_MS) {
+        history.shift();
+    }
+}
+
+// Resample a history into gesture signal frames (body units), or null if there
+// is not enough history or a channel never had a confident value
+function sampleGestureSignal(history, gesture, count, mirrored) {
+    if (history.length === 0) return null;
+
+    const latest = history[history.length - 1];
+    const step = 1000 / (gesture.sampleRate || GESTURE_SAMPLE_RATE);
+    const start = latest.t - (count - 1) * step;
+    if (history[0].t > start) return null; // Not enough history yet
+
+    // "right_wrist.x" -> keypoint + axis; mirrored gestures swap sides and flip x
+    const channels = gesture.channels.map((channel) => {
+        const [name, axis] = channel.split('.');
+        return {
+            name: mirrored ? mirrorKeypointName(name) : name,
+            axis,
+            sign: (mirrored && axis === 'x') ? -1 : 1
+        };
+    });
+
+    const previous = channels.map(() => null);
+    const frames = [];
+    let f = 0;
+    for (let n = 0; n < count; n++) {
+        const t = start + n * step;
+        while (f + 1 < history.length && history[f + 1].t <= t) f++;
+        const frame = history[f];
+
+        const values = channels.map((channel, c) => {
+            const k = frame.keypoints[channel.name];
+            if (!isDetectedKeypoint(k, GESTURE_MIN_CONFIDENCE)) return previous[c];
+
+            const value = gesture.origin === "shoulders"
+                ? (k[channel.axis] - frame.shoulderMid[channel.axis]) / frame.bodyScale
+                : k[channel.axis] / latest.bodyScale;
+            previous[c] = value * channel.sign;
+            return previous[c];
+        });
+        frames.push(values);
+    }
+
+    // Channels that were never confident can't be matched; fill leading gaps
+    for (let c = 0; c < channels.length; c++) {
+        if (previous[c] === null) return null;
+        let firstValue = null;
+        for (let n = 0; n < frames.length && firstValue === null; n++) firstValue = frames[n][c];
+        for (let n = 0; n < frames.length && frames[n][c] === null; n++) frames[n][c] = firstValue;
+    }
+
+    // Origin "last": relative to the latest frame, like the prepared template
+    if (gesture.origin === "last") {
+        const last = frames[frames.length - 1].slice();
+        frames.forEach((frame) => frame.forEach((value, c) => { frame[c] = value - last[c]; }));
+    }
+
+    return frames;
+}
+
+// Subsequence DTW: the template may start anywhere in the sequence but must end
+// at its last frame (now). Returns the mean RMS channel distance along the path,
+// or Infinity when the matched span is shorter than minSpan frames (otherwise a
+// whole template could collapse onto a couple of frames).
+function dtwDistance(template, sequence, minSpan) {
+    const m = template.length;
+    const n = sequence.length;
+    const channels = template[0].length;
+
+    const cost = (i, j) => {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            const d = template[i][c] - sequence[j][c];
+            sum += d * d;
+        }
+        return Math.sqrt(sum / channels);
+    };
+
+    // prev/row hold accumulated cost, prevStart/rowStart the sequence index the path began at
+    let prev = new Array(n);
+    let prevStart = new Array(n);
+    for (let j = 0; j < n; j++) {
+        prev[j] = cost(0, j); // free start
+        prevStart[j] = j;
+    }
+    for (let i = 1; i < m; i++) {
+        const row = new Array(n);
+        const rowStart = new Array(n);
+        row[0] = prev[0] + cost(i, 0);
+        rowStart[0] = prevStart[0];
+        for (let j = 1; j < n; j++) {
+            let best = prev[j - 1];
+            let start = prevStart[j - 1];
+            if (prev[j] < best) { best = prev[j]; start = prevStart[j]; }
+            if (row[j - 1] < best) { best = row[j - 1]; start = rowStart[j - 1]; }
+            row[j] = cost(i, j) + best;
+            rowStart[j] = start;
+        }
+        prev = row;
+        prevStart = rowStart;
+    }
+
+    if (n - prevStart[n - 1] < (minSpan || 0)) return Infinity;
+    return prev[n - 1] / m;
+}
+
+// DTW distance of one gesture for a person, or null if it can't be evaluated
+function matchGesture(gesture, history, pose, bodyScale, mirrored) {
+    // Static preconditions on the current frame (e.g. hand above shoulder)
+    const require = gesture.require || [];
+    for (const rule of require) {
+        if (!evaluatePoseRule(mirrored ? mirrorPoseRule(rule) : rule, pose, bodyScale)) return null;
+    }
+
+    const template = gesture.templateFrames;
+    const count = Math.ceil(template.length * GESTURE_WINDOW_SCALE);
+    const sequence = sampleGestureSignal(history, gesture, count, mirrored);
+    if (!sequence) return null;
+
+    // The movement may be up to GESTURE_WINDOW_SCALE times faster or slower than the template
+    return dtwDistance(template, sequence, Math.floor(template.length / GESTURE_WINDOW_SCALE));
+}
+
+// Match every gesture for a person and emit "gesture" events
+function detectGestures(personId, pose) {
+    const bodyScale = getBodyScale(pose);
+    if (!bodyScale) return;
+
+    const history = personHistories[personId];
+    const cooldowns = personGestureCooldowns[personId];
+    const now = millis();
+
+    gestureRegistry.forEach((gesture) => {
+        const cooldown = gesture.cooldownMs !== undefined ? gesture.cooldownMs : GESTURE_COOLDOWN_MS;
+        if (cooldowns[gesture.name] !== undefined && now - cooldowns[gesture.name] < cooldown) return;
+
+        const sides = gesture.mirror ? [false, true] : [false];
+        for (const mirrored of sides) {
+            const distance = matchGesture(gesture, history, pose, bodyScale, mirrored);
+            if (distance !== null && distance <= gesture.maxDistance) {
+                cooldowns[gesture.name] = now;
+                console.log(`Person ${personId} gesture: ${gesture.name} (distance ${distance.toFixed(3)})`);
+                emitPoseEvent("gesture", { personId, pose, name: gesture.name, gesture, distance, mirrored });
+                break;
+            }
+        }
+    });
+}
+
+/*
+===========================================================
+EVENTS & ACTIONS
+This section dispatches "poseenter", "poseexit", "posecharged"
+and "gesture" events and runs the data-driven actions attached
+to poses ("onEnter"/"onExit"/"charge.onCharged") and gestures
+("actions").
+===========================================================
+*/
+
+// Subscribe to a pose/gesture event
+function onPoseEvent(type, handler) {
+    if (!poseEventListeners[type]) poseEventListeners[type] = [];
+    poseEventListeners[type].push(handler);
+}
+
+// Notify every listener of an event
+function emitPoseEvent(type, detail) {
+    (poseEventListeners[type] || []).forEach((handler) => {
+        try {
+            handler(detail);
+        } catch (error) {
+            console.error(`Error in ${type} handler:`, error);
+        }
+    });
+}
+
+// Find a pose definition by name
+function findPoseDefinition(name) {
+    return poseRegistry.find((def) => def.name === name) || null;
+}
+
+// Emit enter/exit events when a person's active (hysteresis-filtered) pose changes
+function updatePoseEvents(personId, pose) {
+    const state = personActivePoses[personId].name;
+    const lastState = personLastStates[personId];
+    if (state === lastState) return;
+
+    if (lastState !== "Neutral") {
+        emitPoseEvent("poseexit", { personId, pose, name: lastState, definition: findPoseDefinition(lastState) });
+    }
+    if (state !== "Neutral") {
+        emitPoseEvent("poseenter", { personId, pose, name: state, definition: findPoseDefinition(state) });
+    }
+    personLastStates[personId] = state;
+}
+
+// Wire events to the actions declared in the pose and gesture files
+function setupPoseActions() {
+    onPoseEvent("poseenter", (detail) => runPoseActions(detail.definition && detail.definition.onEnter, detail));
+    onPoseEvent("poseexit", (detail) => runPoseActions(detail.definition && detail.definition.onExit, detail));
+    onPoseEvent("posecharged", (detail) => runPoseActions(detail.definition.charge.onCharged, detail));
+    onPoseEvent("gesture", (detail) => runPoseActions(detail.gesture.actions, detail));
+    onPoseEvent("duetenter", (detail) => runPoseActions(detail.definition && detail.definition.onEnter, detail));
+    onPoseEvent("duetexit", (detail) => runPoseActions(detail.definition && detail.definition.onExit, detail));
+}
+
+// Screen position of an event's person: a named keypoint ("left.nose" for duets),
+// the event's own position (duets), or the torso center; null without a pose
+function getActionPosition(detail, keypointName) {
+    const scaleX = width / originalWidth;
+    const scaleY = height / originalHeight;
+
+    const k = keypointName && detail.pose ? getKeypoint(detail.pose, keypointName) : null;
+    if (k) return { x: k.x * scaleX, y: k.y * scaleY };
+    if (detail.position) return detail.position;
+    if (!detail.pose) return null;
+
+    const leftShoulder = getKeypoint(detail.pose, "left_shoulder");
+    const rightShoulder = getKeypoint(detail.pose, "right_shoulder");
+    const leftHip = getKeypoint(detail.pose, "left_hip");
+    const rightHip = getKeypoint(detail.pose, "right_hip");
+    if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return null;
+    return {
+        x: ((leftShoulder.x + rightShoulder.x + leftHip.x + rightHip.x) / 4) * scaleX,
+        y: ((leftShoulder.y + rightShoulder.y + leftHip.y + rightHip.y) / 4) * scaleY
+    };
+}
+
+// Action handlers by "type"
+const POSE_ACTIONS = {
+    // { "type": "burst", "keypoint"?, "count"?, "texture"?, "emitter"? } particle burst at the person
+    burst: async (action, detail) => {
+        const emitter = await getBurstEmitter(action.emitter || "burst");
+        const textures = action.texture ? [await PIXI.Assets.load(action.texture)] : null;
+        const pos = getActionPosition(detail, action.keypoint);
+        emitParticles(emitter, action.count || emitter.settings.count, pos, textures);
+    },
+
+    // { "type": "overlay", "pose", "durationMs" } show a pose's overlay on the person for a while
+    overlay: (action, detail) => {
+        if (!poseTextures[action.pose] || detail.personId === undefined) return;
+        personOverlayOverrides[detail.personId] = { pose: action.pose, until: millis() + (action.durationMs || 2000) };
+    },
+
+    // { "type": "scene", "scene": name or "next", "durationMs"? } switch to another scene
+    scene: (action) => {
+        const name = action.scene === "next" ? getNextSceneName() : action.scene;
+        return switchScene(name, action.durationMs);
+    }
+};
+
+// Run a list of actions for an event
+function runPoseActions(actions, detail) {
+    if (!actions) return;
+
+    actions.forEach((action) => {
+        const handler = POSE_ACTIONS[action.type];
+        if (!handler) {
+            console.warn(`Unknown action type: ${action.type}`);
+            return;
+        }
+        Promise.resolve(handler(action, detail)).catch((error) => {
+            console.error(`Error running ${action.type} action:`, error);
+        });
+    });
+}
+
+/*
+===========================================================
+PERSON TRACKING
+This section gives every detected person a stable ID. Each
+detection is matched to the existing tracks by keypoint
+distance (in body units, with lost tracks extrapolated along
+their velocity) using an optimal assignment, so overlays stay
+on their body when visitors cross. Tracks that go missing can
+be re-identified for TRACK_REID_MS before their state is dropped.
+===========================================================
+*/
+
+// Center of a pose's confident keypoints (video space), or null
+function getPoseCenter(pose) {
+    let x = 0;
+    let y = 0;
+    let count = 0;
+    pose.keypoints.forEach((k) => {
+        if (k.confidence < TRACK_MIN_CONFIDENCE) return;
+        x += k.x;
+        y += k.y;
+        count++;
+    });
+    return count > 0 ? { x: x / count, y: y / count } : null;
+}
+
+// Size used to normalize match distances: the body scale, or a quarter of the
+// keypoint bounding box diagonal when the shoulders are not visible
+function getTrackScale(pose) {
+    const bodyScale = getBodyScale(pose);
+    if (bodyScale) return bodyScale;
+
+    const confident = pose.keypoints.filter((k) => k.confidence >= TRACK_MIN_CONFIDENCE);
+    if (confident.length < 2) return null;
+    const xs = confident.map((k) => k.x);
+    const ys = confident.map((k) => k.y);
+    return Math.max(1, Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) / 4);
+}
+
+// Cost of matching a detection to a track: mean distance of the keypoints both
+// see confidently (track extrapolated to now), in body units, plus the difference
+// in apparent size. Infinity beyond the gate, which widens while a track is lost.
+function trackMatchCost(track, pose, now) {
+    const center = getPoseCenter(pose);
+    const scale = getTrackScale(pose);
+    if (!center || !scale) return Infinity;
+
+    const elapsed = Math.min(now - track.lastSeen, TRACK_PREDICT_MAX_MS);
+    const dx = track.velocity.x * elapsed;
+    const dy = track.velocity.y * elapsed;
+
+    let total = 0;
+    let count = 0;
+    pose.keypoints.forEach((k) => {
+        const previous = getKeypoint(track.pose, k.name);
+        if (k.confidence < TRACK_MIN_CONFIDENCE || !previous || previous.confidence < TRACK_MIN_CONFIDENCE || previous.predicted) return;
+        total += Math.hypot(k.x - (previous.x + dx), k.y - (previous.y + dy));
+        count++;
+    });
+
+    // Too few shared keypoints: fall back to the predicted centers
+    const distance = count >= 3
+        ? total / count
+        : Math.hypot(center.x - (track.center.x + dx), center.y - (track.center.y + dy));
+
+    const unit = Math.max(scale, track.scale);
+    const cost = distance / unit + Math.abs(Math.log(scale / track.scale));
+
+    const lostSeconds = (now - track.lastSeen) / 1000;
+    return cost <= TRACK_MAX_COST + TRACK_REID_COST_GROWTH * lostSeconds ? cost : Infinity;
+}
+
+// Minimum-cost assignment of rows to columns (Hungarian algorithm) on a
+// rectangular cost matrix. Returns the column of each row, or -1.
+function solveAssignment(cost) {
+    const rows = cost.length;
+    const cols = rows > 0 ? cost[0].length : 0;
+    const n = Math.max(rows, cols);
+    const at = (r, c) => (r < rows && c < cols) ? cost[r][c] : 0; // padding rows/columns are free
+
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const match = new Array(n + 1).fill(0); // match[col] = row (1-based, 0 = none)
+    const way = new Array(n + 1).fill(0);
+
+    for (let r = 1; r <= n; r++) {
+        match[0] = r;
+        let col0 = 0;
+        const minValue = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+
+        do {
+            used[col0] = true;
+            const row0 = match[col0];
+            let delta = Infinity;
+            let col1 = 0;
+            for (let c = 1; c <= n; c++) {
+                if (used[c]) continue;
+                const reduced = at(row0 - 1, c - 1) - u[row0] - v[c];
+                if (reduced < minValue[c]) {
+                    minValue[c] = reduced;
+                    way[c] = col0;
+                }
+                if (minValue[c] < delta) {
+                    delta = minValue[c];
+                    col1 = c;
+                }
+            }
+            for (let c = 0; c <= n; c++) {
+                if (used[c]) {
+                    u[match[c]] += delta;
+                    v[c] -= delta;
+                } else {
+                    minValue[c] -= delta;
+                }
+            }
+            col0 = col1;
+        } while (match[col0] !== 0);
+
+        // Flip the augmenting path
+        do {
+            const col1 = way[col0];
+            match[col0] = match[col1];
+            col0 = col1;
+        } while (col0 !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let c = 1; c <= n; c++) {
+        if (match[c] > 0 && match[c] <= rows && c <= cols) assignment[match[c] - 1] = c - 1;
+    }
+    return assignment;
+}
+
+// Start a new track for an unmatched detection
+function createTrack(pose, now) {
+    const track = {
+        id: nextTrackId++,
+        pose: null,
+        center: getPoseCenter(pose),
+        scale: getTrackScale(pose),
+        velocity: { x: 0, y: 0 },
+        filters: {},
+        occlusion: { lastGood: {}, pairOffsets: {}, pairRatios: {} },
+        zone: { inside: false, changeSince: null },
+        firstSeen: now,
+        lastSeen: now
+    };
+    track.pose = predictOccludedKeypoints(track.occlusion, filterPoseKeypoints(track.filters, pose, 0), now);
+    console.log(`Person ${track.id} entered`);
+    return track;
+}
+
+// Move a track onto its matched detection (filtered) and update its velocity (px/ms)
+function updateTrack(track, pose, now) {
+    const center = getPoseCenter(pose);
+    const elapsed = now - track.lastSeen;
+    if (elapsed > 0) {
+        track.velocity.x = smoothLerp(track.velocity.x, (center.x - track.center.x) / elapsed, TRACK_VELOCITY_SMOOTH);
+        track.velocity.y = smoothLerp(track.velocity.y, (center.y - track.center.y) / elapsed, TRACK_VELOCITY_SMOOTH);
+    }
+    track.pose = predictOccludedKeypoints(track.occlusion, filterPoseKeypoints(track.filters, pose, Math.max(elapsed, 1) / 1000), now);
+    track.center = center;
+    track.scale = getTrackScale(pose);
+    track.lastSeen = now;
+}
+
+// Match a new detection to the tracks; unmatched detections start new tracks
+// and tracks lost for longer than TRACK_REID_MS are dropped
+function updateTracks(detections) {
+    const now = millis();
+
+    tracks = tracks.filter((track) => {
+        if (now - track.lastSeen <= TRACK_REID_MS) return true;
+        console.log(`Person ${track.id} left`);
+        return false;
+    });
+
+    // Detections without enough confident keypoints can't be tracked
+    const candidates = detections.filter((pose) => getPoseCenter(pose) && getTrackScale(pose));
+
+    const cost = tracks.map((track) => candidates.map((pose) => {
+        const c = trackMatchCost(track, pose, now);
+        return Number.isFinite(c) ? c : TRACK_INFEASIBLE_COST;
+    }));
+    const assignment = solveAssignment(cost);
+
+    const matched = new Set();
+    tracks.forEach((track, r) => {
+        const c = assignment[r];
+        if (c < 0 || cost[r][c] >= TRACK_INFEASIBLE_COST) return;
+        updateTrack(track, candidates[c], now);
+        matched.add(c);
+    });
+    candidates.forEach((pose, c) => {
+        if (!matched.has(c)) tracks.push(createTrack(pose, now));
+    });
+
+    trackedPeople = tracks
+        .filter((track) => track.lastSeen === now)
+        .sort((a, b) => a.id - b.id)
+        .map((track) => ({ id: track.id, pose: track.pose }));
+
+    updateParticipants(now);
+}
+
+/*
+===========================================================
+KEYPOINT FILTERING
+This section smooths every keypoint of a tracked person once
+per detection, before classification, anchoring and mesh
+warping. KEYPOINT_FILTER picks a One Euro filter (adaptive
+low-pass: steady when still, little lag when moving) or a
+constant-velocity Kalman filter. Filtered keypoints carry
+their velocity as vx/vy (video px per second).
+===========================================================
+*/
+
+// Smoothing factor of a first-order low-pass filter with the given cutoff (Hz)
+function lowPassAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return dt / (dt + tau);
+}
+
+// One Euro filter step for one coordinate: { value, velocity, raw }
+function oneEuroStep(state, value, dt) {
+    if (state.value === undefined) {
+        state.value = value;
+        state.velocity = 0;
+        state.raw = value;
+        return state;
+    }
+
+    // Speed from the raw measurements, so the exposed velocity isn't biased by the filter lag
+    const rawVelocity = (value - state.raw) / dt;
+    state.raw = value;
+    state.velocity = smoothLerp(state.velocity, rawVelocity, lowPassAlpha(ONE_EURO_SETTINGS.dCutoff, dt));
+    const cutoff = ONE_EURO_SETTINGS.minCutoff + ONE_EURO_SETTINGS.beta * Math.abs(state.velocity);
+    state.value = smoothLerp(state.value, value, lowPassAlpha(cutoff, dt));
+    return state;
+}
+
+// Constant-velocity Kalman filter step for one coordinate: { value, velocity, p00, p01, p11 }
+function kalmanStep(state, value, dt) {
+    if (state.value === undefined) {
+        state.value = value;
+        state.velocity = 0;
+        state.p00 = KALMAN_SETTINGS.measurementNoise;
+        state.p01 = 0;
+        state.p11 = KALMAN_SETTINGS.initialVelocityVariance;
+        return state;
+    }
+
+    // Predict along the current velocity (white-noise acceleration model)
+    const q = KALMAN_SETTINGS.processNoise;
+    state.value += state.velocity * dt;
+    const p00 = state.p00 + dt * (2 * state.p01 + dt * state.p11) + q * dt * dt * dt / 3;
+    const p01 = state.p01 + dt * state.p11 + q * dt * dt / 2;
+    const p11 = state.p11 + q * dt;
+
+    // Correct with the measured position
+    const gain0 = p00 / (p00 + KALMAN_SETTINGS.measurementNoise);
+    const gain1 = p01 / (p00 + KALMAN_SETTINGS.measurementNoise);
+    const residual = value - state.value;
+    state.value += gain0 * residual;
+    state.velocity += gain1 * residual;
+    state.p00 = (1 - gain0) * p00;
+    state.p01 = (1 - gain0) * p01;
+    state.p11 = p11 - gain1 * p01;
+    return state;
+}
+
+// Filter every keypoint of a detection. filters: { keypointName: { x, y } } per-track
+// filter states (empty for a new track), dt: seconds since the previous detection.
+// Returns a copy of the pose whose keypoints carry vx/vy.
+function filterPoseKeypoints(filters, pose, dt) {
+    const step = KEYPOINT_FILTER === "kalman" ? kalmanStep : oneEuroStep;
+
+    const keypoints = pose.keypoints.map((k) => {
+        // Unreliable keypoints restart their filter so a reappearing point doesn't drag
+        if (KEYPOINT_FILTER === "none" || k.confidence < KEYPOINT_FILTER_MIN_CONFIDENCE) {
+            delete filters[k.name];
+            return Object.assign({}, k, { vx: 0, vy: 0 });
+        }
+
+        if (!filters[k.name]) filters[k.name] = { x: {}, y: {} };
+        const x = step(filters[k.name].x, k.x, dt);
+        const y = step(filters[k.name].y, k.y, dt);
+        return Object.assign({}, k, { x: x.value, y: y.value, vx: x.velocity, vy: y.velocity });
+    });
+
+    return Object.assign({}, pose, { keypoints });
+}
+
+// Velocity of a named keypoint in video px per second, or null
+function getKeypointVelocity(pose, name) {
+    const k = getKeypoint(pose, name);
+    return k && k.vx !== undefined ? { x: k.vx, y: k.vy } : null;
+}
+
+/*
+===========================================================
+OCCLUSION PREDICTION
+This section fills in keypoints that are briefly hidden (a
+visitor turning sideways, an arm crossing the torso) so the
+overlay keeps following the body. A hidden point is inferred
+from its left/right partner using the body's symmetry, or
+extrapolated from its last motion, for up to
+OCCLUSION_TIMEOUT_MS. Filled-in keypoints are flagged with
+"predicted" ("mirrored" or "extrapolated"); they only place
+and warp overlays, pose scoring, classifier features and
+gestures skip them.
+===========================================================
+*/
+
+// Keypoint detected by the model (not predicted) with at least this confidence
+function isDetectedKeypoint(k, minConfidence) {
+    return !!k && !k.predicted && k.confidence >= minConfidence;
+}
+
+// Joint type of a keypoint name ("left_shoulder" -> "shoulder")
+function keypointJoint(name) {
+    return name.replace(/^(left|right)_/, "");
+}
+
+// Remember confident keypoints, partner offsets (left -> right) and the width of each
+// joint pair relative to its reference pair (e.g. shoulder width / hip width)
+function rememberVisibleKeypoints(memory, pose, now) {
+    const visible = (k) => k && k.confidence >= OCCLUSION_MIN_CONFIDENCE && !k.predicted;
+
+    pose.keypoints.forEach((k) => {
+        if (!visible(k)) return;
+        const velocity = getKeypointVelocity(pose, k.name) || { x: 0, y: 0 };
+        memory.lastGood[k.name] = { x: k.x, y: k.y, vx: velocity.x, vy: velocity.y, time: now };
+    });
+
+    pose.keypoints.forEach((k) => {
+        if (!k.name.startsWith("left_")) return;
+        const joint = keypointJoint(k.name);
+        const right = getKeypoint(pose, "right_" + joint);
+        if (!visible(k) || !visible(right)) return;
+        memory.pairOffsets[joint] = { x: right.x - k.x, y: right.y - k.y };
+
+        const reference = SYMMETRY_REFERENCE[joint];
+        const refLeft = reference && getKeypoint(pose, "left_" + reference);
+        const refRight = reference && getKeypoint(pose, "right_" + reference);
+        if (visible(refLeft) && visible(refRight)) {
+            const refWidth = keypointDistance(refLeft, refRight);
+            if (refWidth > 0) memory.pairRatios[joint] = keypointDistance(k, right) / refWidth;
+        }
+    });
+}
+
+// Position of a hidden keypoint mirrored from its visible partner, or null. The
+// left -> right offset comes from the reference pair seen now (scaled by the
+// remembered width ratio), otherwise from the last time both were visible.
+function inferFromSymmetry(memory, pose, name) {
+    const partner = getKeypoint(pose, mirrorKeypointName(name));
+    if (!partner || partner === getKeypoint(pose, name) || partner.confidence < OCCLUSION_MIN_CONFIDENCE || partner.predicted) return null;
+
+    const joint = keypointJoint(name);
+    const reference = SYMMETRY_REFERENCE[joint];
+    const refLeft = reference && getKeypoint(pose, "left_" + reference);
+    const refRight = reference && getKeypoint(pose, "right_" + reference);
+
+    let offset = null;
+    if (refLeft && refRight && refLeft.confidence >= OCCLUSION_MIN_CONFIDENCE && refRight.confidence >= OCCLUSION_MIN_CONFIDENCE &&
+        memory.pairRatios[joint]) {
+        offset = {
+            x: (refRight.x - refLeft.x) * memory.pairRatios[joint],
+            y: (refRight.y - refLeft.y) * memory.pairRatios[joint]
+        };
+    } else if (memory.pairOffsets[joint]) {
+        offset = memory.pairOffsets[joint];
+    }
+    if (!offset) return null;
+
+    // Offsets run left -> right
+    const sign = name.startsWith("left_") ? -1 : 1;
+    return { x: partner.x + sign * offset.x, y: partner.y + sign * offset.y };
+}
+
+// Position of a hidden keypoint coasting along its last velocity (px/s), or null
+function extrapolateKeypoint(memory, name, now) {
+    const last = memory.lastGood[name];
+    if (!last) return null;
+
+    // Travel of a velocity decaying with OCCLUSION_VELOCITY_DECAY_MS
+    const tau = OCCLUSION_VELOCITY_DECAY_MS / 1000;
+    const travel = tau * (1 - Math.exp(-(now - last.time) / OCCLUSION_VELOCITY_DECAY_MS));
+    return { x: last.x + last.vx * travel, y: last.y + last.vy * travel };
+}
+
+// Fill in keypoints hidden for less than OCCLUSION_TIMEOUT_MS. memory: per-track
+// { lastGood, pairOffsets, pairRatios }. Returns a copy of the pose.
+function predictOccludedKeypoints(memory, pose, now) {
+    rememberVisibleKeypoints(memory, pose, now);
+
+    const keypoints = pose.keypoints.map((k) => {
+        if (k.confidence >= OCCLUSION_MIN_CONFIDENCE) return k;
+
+        const last = memory.lastGood[k.name];
+        if (!last || now - last.time > OCCLUSION_TIMEOUT_MS) return k;
+
+        const mirrored = inferFromSymmetry(memory, pose, k.name);
+        const position = mirrored || extrapolateKeypoint(memory, k.name, now);
+        if (!position) return k;
+
+        return Object.assign({}, k, {
+            x: position.x,
+            y: position.y,
+            confidence: OCCLUSION_PREDICTED_CONFIDENCE,
+            predicted: mirrored ? "mirrored" : "extrapolated"
+        });
+    });
+
+    return Object.assign({}, pose, { keypoints });
+}
 
-// Resize per-person arrays to match the current number of poses
-function resizePersonArrays(numPersons) {
-    // Extend arrays if we have more people
-    while (personStates.length < numPersons) {
-        personStates.push("Neutral");
-        personLastStates.push("Neutral");
-        personStableStates.push("Neutral");
-        personStableCounters.push(0);
-        personOverlayImages.push(null);
+/*
+===========================================================
+INTERACTION ZONE
+This section decides which tracked people take part. A
+person must stand inside the floor polygon with a body size
+between the near/far limits (for a short hold time, so
+someone on the boundary doesn't flicker in and out); of
+those, up to MAX_PARTICIPANTS are picked by
+PARTICIPANT_PRIORITY. Everyone else is drawn as
+a dimmed bystander and gets no pose classification or overlay.
+===========================================================
+*/
+
+// Where a person stands (video space): between the ankles, or below the hips by
+// INTERACTION_ZONE.legToTorso torso lengths when the ankles are hidden. Null without hips.
+function getFloorPoint(pose) {
+    const leftAnkle = getKeypoint(pose, "left_ankle");
+    const rightAnkle = getKeypoint(pose, "right_ankle");
+    if (isDetectedKeypoint(leftAnkle, BODY_SCALE_MIN_CONFIDENCE) && isDetectedKeypoint(rightAnkle, BODY_SCALE_MIN_CONFIDENCE)) {
+        return { x: (leftAnkle.x + rightAnkle.x) / 2, y: Math.max(leftAnkle.y, rightAnkle.y) };
+    }
+
+    const leftShoulder = getKeypoint(pose, "left_shoulder");
+    const rightShoulder = getKeypoint(pose, "right_shoulder");
+    const leftHip = getKeypoint(pose, "left_hip");
+    const rightHip = getKeypoint(pose, "right_hip");
+    if (!isDetectedKeypoint(leftHip, BODY_SCALE_MIN_CONFIDENCE) || !isDetectedKeypoint(rightHip, BODY_SCALE_MIN_CONFIDENCE)) return null;
+
+    const hip = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+    if (!isDetectedKeypoint(leftShoulder, BODY_SCALE_MIN_CONFIDENCE) || !isDetectedKeypoint(rightShoulder, BODY_SCALE_MIN_CONFIDENCE)) {
+        return hip;
+    }
+    const shoulder = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
+    return {
+        x: hip.x + (hip.x - shoulder.x) * INTERACTION_ZONE.legToTorso,
+        y: hip.y + (hip.y - shoulder.y) * INTERACTION_ZONE.legToTorso
+    };
+}
+
+// Ray-casting point-in-polygon test, polygon: [[x, y], ...]
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > point.y) !== (yj > point.y) && point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Whether a person stands in the floor polygon at a plausible distance (body size)
+function isInInteractionZone(pose) {
+    if (!INTERACTION_ZONE.enabled) return true;
+
+    const bodyScale = getBodyScale(pose);
+    if (!bodyScale) return false;
+    const size = bodyScale / originalHeight;
+    if (size < INTERACTION_ZONE.minBodySize || size > INTERACTION_ZONE.maxBodySize) return false;
+
+    const floor = getFloorPoint(pose);
+    return !!floor && pointInPolygon({ x: floor.x / originalWidth, y: floor.y / originalHeight }, INTERACTION_ZONE.floor);
+}
+
+// Zone membership of a track with hold times: a change of side only counts once it has lasted
+// INTERACTION_ZONE.enterMs (in) or exitMs (out); flickering at the boundary keeps the current side
+function updateZoneMembership(track, now) {
+    if (!INTERACTION_ZONE.enabled) return true;
+
+    const zone = track.zone;
+    const inside = isInInteractionZone(track.pose);
+    if (inside === zone.inside) {
+        zone.changeSince = null;
+        return zone.inside;
+    }
+
+    if (zone.changeSince === null) zone.changeSince = now;
+    if (now - zone.changeSince >= (inside ? INTERACTION_ZONE.enterMs : INTERACTION_ZONE.exitMs)) {
+        zone.inside = inside;
+        zone.changeSince = null;
+    }
+    return zone.inside;
+}
+
+// Ranking value of a candidate participant (higher = picked first)
+function participantPriority(track, isParticipant) {
+    if (PARTICIPANT_PRIORITY === "longest") return -track.firstSeen;
+    return (getBodyScale(track.pose) || 0) * (isParticipant ? PARTICIPANT_KEEP_BONUS : 1);
+}
+
+// Pick the participants among the people tracked in the latest detection
+function updateParticipants(now) {
+    const previous = participants.map((person) => person.id);
+
+    const candidates = tracks
+        .filter((track) => track.lastSeen === now && updateZoneMembership(track, now))
+        .map((track) => ({ track, priority: participantPriority(track, previous.includes(track.id)) }))
+        .sort((a, b) => b.priority - a.priority);
+
+    participants = candidates
+        .slice(0, MAX_PARTICIPANTS)
+        .map(({ track }) => ({ id: track.id, pose: track.pose }))
+        .sort((a, b) => a.id - b.id);
+
+    participants.forEach((person) => {
+        if (!previous.includes(person.id)) console.log(`Person ${person.id} joined the interaction`);
+    });
+}
+
+// Outline the floor polygon on the canvas (tracking view)
+function drawInteractionZone(scaleX, scaleY) {
+    if (!INTERACTION_ZONE.enabled) return;
+
+    noFill();
+    stroke(0, 200, 255);
+    strokeWeight(2 * min(scaleX, scaleY));
+    beginShape();
+    INTERACTION_ZONE.floor.forEach(([x, y]) => vertex(x * width, y * height));
+    endShape(CLOSE);
+}
+
+// Dimmed skeleton for a tracked person who isn't a participant
+function drawBystander(pose, scaleX, scaleY) {
+    stroke(128);
+    strokeWeight(1 * min(scaleX, scaleY));
+    connections.forEach(([a, b]) => {
+        const pointA = pose.keypoints[a];
+        const pointB = pose.keypoints[b];
+        if (pointA.confidence > 0.1 && pointB.confidence > 0.1) {
+            line(pointA.x * scaleX, pointA.y * scaleY, pointB.x * scaleX, pointB.y * scaleY);
+        }
+    });
+}
+
+/*
+===========================================================
+MESH PHYSICS
+This section adds secondary motion to overlay meshes. Each
+unpinned vertex is a particle pulled toward its warped
+position by a damped spring, simulated in screen space with
+a fixed time step, so the imagery trails, sways and settles
+when a visitor moves, the same at any frame rate.
+===========================================================
+*/
+
+// Replace the warped positions (plane local, in place) of unpinned vertices by their
+// simulated ones. state: per-plane { positions, velocities, lastTime, accumulator } (screen px)
+function simulateMeshPhysics(state, settings, plane, positions, pinned) {
+    const count = positions.length / 2;
+    const now = millis();
+
+    // Warped positions in screen space are the spring targets
+    const targets = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        const target = plane.toGlobal(new PIXI.Point(positions[i * 2], positions[i * 2 + 1]));
+        targets[i * 2] = target.x;
+        targets[i * 2 + 1] = target.y;
+    }
+
+    // (Re)start at rest on the first frame, after a grid change, or after a stall
+    const elapsed = state.lastTime === undefined ? Infinity : now - state.lastTime;
+    state.lastTime = now;
+    state.accumulator = (state.accumulator || 0) + elapsed;
+    if (!state.positions || state.positions.length !== targets.length ||
+        state.accumulator > settings.stepMs * settings.maxSteps) {
+        state.positions = targets;
+        state.velocities = new Float32Array(count * 2);
+        state.accumulator = 0;
+        return;
     }
 
-    // Truncate arrays if we have fewer people
-    if (personStates.length > numPersons) {
-        personStates = personStates.slice(0, numPersons);
-        personLastStates = personLastStates.slice(0, numPersons);
-        personStableStates = personStableStates.slice(0, numPersons);
-        personStableCounters = personStableCounters.slice(0, numPersons);
-        personOverlayImages = personOverlayImages.slice(0, numPersons);
+    const h = settings.stepMs / 1000;
+    for (; state.accumulator >= settings.stepMs; state.accumulator -= settings.stepMs) {
+        for (let i = 0; i < count * 2; i++) {
+            if (pinned[i >> 1]) {
+                state.positions[i] = targets[i];
+                state.velocities[i] = 0;
+                continue;
+            }
+            // Semi-implicit Euler: spring toward the target, damped
+            const accel = settings.stiffness * (targets[i] - state.positions[i]) - settings.damping * state.velocities[i];
+            state.velocities[i] += accel * h;
+            state.positions[i] += state.velocities[i] * h;
+        }
+    }
+
+    // Back to plane local coordinates
+    for (let i = 0; i < count; i++) {
+        if (pinned[i]) continue;
+        const local = plane.toLocal(new PIXI.Point(state.positions[i * 2], state.positions[i * 2 + 1]));
+        positions[i * 2] = local.x;
+        positions[i * 2 + 1] = local.y;
     }
 }
 
+/*
+===========================================================
+MULTI-PERSON STATE MANAGEMENT
+This section handles per-person state entries, debouncing,
+and image selection for multiple people.
+===========================================================
+*/
+
 // Process state change for a specific person with debouncing
-function processPersonStateChange(personIndex) {
-    if (personIndex >= personStates.length) return;
+function processPersonStateChange(personId) {
+    if (!(personId in personStates)) return;
 
-    let currentState = personStates[personIndex];
-    let stableState = personStableStates[personIndex];
+    let currentState = personStates[personId];
+    let stableState = personStableStates[personId];
 
     // Check if state changed
     if (currentState !== stableState) {
-        personStableCounters[personIndex]++;
-        if (personStableCounters[personIndex] >= STABLE_FRAMES) {
+        personStableCounters[personId]++;
+        if (personStableCounters[personId] >= STABLE_FRAMES) {
             // State is stable, commit the change
-            personStableStates[personIndex] = currentState;
-            personStableCounters[personIndex] = 0;
+            personStableStates[personId] = currentState;
+            personStableCounters[personId] = 0;
 
             // Update overlay image based on new stable state
-            personOverlayImages[personIndex] = selectImageFor(currentState);
+            personOverlayImages[personId] = selectImageFor(currentState);
 
-            console.log(`Person ${personIndex + 1} state changed to: ${currentState}`);
+            console.log(`Person ${personId} state changed to: ${currentState}`);
         }
     } else {
         // State is stable, reset counter
-        personStableCounters[personIndex] = 0;
+        personStableCounters[personId] = 0;
     }
 }
 
-// Select appropriate image for a given state
+// Select appropriate image for a given state (null for Neutral or unknown poses)
 function selectImageFor(state) {
-    if (state === "Jesus") {
-        return jesusImage;
-    } else if (state === "Prime") {
-        return primeImage;
-    } else {
-        return null; // Neutral state
-    }
+    return poseImages[state] || null;
 }
 
 /*
@@ -1024,10 +5317,10 @@ anchored to shoulder positions.
 */
 
 // Draw sticker for a specific person anchored to their shoulders
-function drawPersonSticker(personIndex, pose, scaleX, scaleY) {
-    if (personIndex >= personOverlayImages.length) return;
+function drawPersonSticker(personId, pose, scaleX, scaleY) {
+    if (!(personId in personOverlayImages)) return;
 
-    let overlayImage = personOverlayImages[personIndex];
+    let overlayImage = personOverlayImages[personId];
     if (!overlayImage) return; // No image to draw
 
     // Get shoulder keypoints
@@ -1062,6 +5355,8 @@ function drawPersonSticker(personIndex, pose, scaleX, scaleY) {
 // Callback function to handle detected poses
 function gotPoses(results) {
     poses = results;
+    updateTracks(results);
+    recordPoseClipFrame();
 }
 
 /*
@@ -1087,11 +5382,21 @@ function setupControls() {
     // Hide tracking toggle functionality
     hideTrackingBtn.addEventListener('click', toggleTracking);
 
-    // Listen for ESC key to exit fullscreen
+    // Pose trainer panel
+    setupTrainer();
+
+    // Listen for ESC key to exit fullscreen, R to record a pose clip, S for the next scene
     document.addEventListener('keydown', function(event) {
         if (event.key === 'Escape' && document.fullscreenElement) {
             exitFullscreen();
         }
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        if (event.key.toLowerCase() === 'r') {
+            togglePoseClip();
+        }
+        if (event.key.toLowerCase() === 's' && sceneRegistry.length > 1) {
+            switchScene(getNextSceneName()).catch((error) => console.error('Error switching scene:', error));
+        }
     });
 
     // Listen for fullscreen change events to update our state